@@ -6,11 +6,34 @@
  */
 
 import { PlayStationAPI } from './src/playstation-api.js';
+import { validateActionParams } from './src/actions.js';
+import { JsonFileSessionStore } from './src/session-store.js';
+import { UsageAccountant } from './src/usage-accountant.js';
+import { WarningTracker } from './src/warning-tracker.js';
+import { ExtensionManager } from './src/extension-manager.js';
+import { OfflineQuotaCache, UsageBuffer, OFFLINE_MODES } from './src/offline-quota.js';
+import { CredentialMonitor } from './src/credential-monitor.js';
+import { PlayHistory } from './src/play-history.js';
+import { GameBudgetTracker } from './src/game-budgets.js';
+import { TitleClassifier } from './src/title-classifier.js';
+import { ScheduleEngine, parseSchedule, isValidTimezone } from './src/schedule.js';
+import { TimeBank } from './src/time-bank.js';
+import { HouseholdPool } from './src/household-pool.js';
+import { DeviceRegistry } from './src/device-registry.js';
+import { DecisionLog } from './src/decision-log.js';
+import { RestrictionOwnership } from './src/restrictions.js';
+import { CredentialVault } from './src/credential-vault.js';
+import { registerSecret } from './src/redact.js';
+import { createLogger } from './src/logger.js';
+import { dayKey, toTimestamp } from './src/time-utils.js';
+import { AuthExpiredError, NotFoundError } from './src/errors.js';
 import NodeCache from 'node-cache';
 import { EventEmitter } from 'events';
+import os from 'os';
+import path from 'path';
 
 class PlayStationPlugin extends EventEmitter {
-  constructor() {
+  constructor(options = {}) {
     super();
 
     // Plugin metadata
@@ -19,6 +42,12 @@ class PlayStationPlugin extends EventEmitter {
     this.version = '1.0.0';
     this.description = 'PlayStation Network parental controls integration';
 
+    // Structured logging (hosts inject a logger or a sink to capture entries)
+    this.logger = (options.logger || createLogger({
+      level: options.logLevel,
+      json: options.logFormat === 'json'
+    })).child({ component: 'PlayStation Plugin' });
+
     // Configuration state
     this.config = null;
     this.psn = null;
@@ -29,13 +58,106 @@ class PlayStationPlugin extends EventEmitter {
     // Active session tracking
     this.activeSessions = new Map();
 
+    // Session persistence backend (defaults to a JSON file on load)
+    this.sessionStore = options.sessionStore || null;
+
+    // Per-game play history for reports (kept apart from session state)
+    this.playHistory = new PlayHistory();
+    this.historyStore = options.historyStore || null;
+    this.historyDirty = false;
+
+    // Optional HTTP transport for PSN requests (defaults to axios)
+    this.psnTransport = options.psnTransport || null;
+
+    // At-rest encryption of PSN credentials, keyed by the host
+    this.credentialVault = options.credentialVault || (
+      options.credentialKey || options.credentialPassphrase
+        ? new CredentialVault({ key: options.credentialKey, passphrase: options.credentialPassphrase })
+        : null
+    );
+    this.credentialStore = options.credentialStore || null;
+    this.credentials = {};
+    this.credentialSave = null;
+
     // Polling interval for play time monitoring
     this.pollingInterval = null;
     this.POLL_INTERVAL_MS = 60000; // 1 minute
 
+    // Elapsed play time accounting between polls
+    this.usageAccountant = new UsageAccountant();
+
+    // Remaining-time warnings, de-duplicated per child per day
+    this.warningTracker = new WarningTracker();
+
+    // Grace periods and parent-approved "finish the match" extensions
+    this.extensions = new ExtensionManager();
+
+    // Local quota fallback and usage buffering while Allow2 is unreachable
+    this.offlineQuota = new OfflineQuotaCache();
+    this.usageBuffer = new UsageBuffer();
+    this.allow2Offline = false;
+
+    // Per-title daily budgets (blockGame when used up, unblock next day)
+    this.gameBudgets = new GameBudgetTracker();
+
+    // Which PSN title blocks the plugin placed (parent-set blocks are never removed)
+    this.restrictions = new RestrictionOwnership();
+
+    // Which Allow2 activity (gaming, education, streaming, ...) a title counts against
+    this.titleClassifier = new TitleClassifier();
+
+    // Time-of-day rules (bedtime, homework hours, weekend windows)
+    this.schedules = new ScheduleEngine();
+
+    // Parent-granted bonus time and banked unused quota
+    this.timeBank = new TimeBank();
+
+    // Optional daily budget shared across siblings
+    this.householdPool = new HouseholdPool();
+
+    // Consoles seen in PSN presence, their names and per-child disabled consoles
+    this.devices = new DeviceRegistry();
+
+    // Why each enforcement action was chosen; in dry-run mode PSN writes are
+    // reported instead of made
+    this.decisions = new DecisionLog();
+    this.dryRun = false;
+
+    // NPSSO age tracking and expiry detection
+    this.credentialMonitor = new CredentialMonitor();
+
+    // Child states whose enforcement hit a transient PSN failure, retried
+    // on the next monitoring tick
+    this.pendingStates = new Map();
+
+    // Last Allow2 state per child, and children a parent disabled until
+    // Allow2 sends a new state, so re-evaluations (schedule ticks, pool
+    // renewals, bonus grants, device toggles) keep both blocks in force
+    this.childStates = new Map();
+    this.parentDisabled = new Set();
+
     // State
     this.isInitialized = false;
     this.lastError = null;
+
+    // Manifest-declared actions (package.json allow2automate.api.actions)
+    this.actions = {
+      checkQuota: (params) => this.executeAction('checkQuota', params),
+      enableAccess: (params) => this.executeAction('enableAccess', params),
+      disableAccess: (params) => this.executeAction('disableAccess', params),
+      reportUsage: (params) => this.executeAction('reportUsage', params),
+      requestExtension: (params) => this.executeAction('requestExtension', params),
+      approveExtension: (params) => this.executeAction('approveExtension', params),
+      denyExtension: (params) => this.executeAction('denyExtension', params),
+      getPlayReport: (params) => this.executeAction('getPlayReport', params),
+      exportPlayHistory: (params) => this.executeAction('exportPlayHistory', params),
+      grantBonusTime: (params) => this.executeAction('grantBonusTime', params),
+      listBonusTime: (params) => this.executeAction('listBonusTime', params),
+      revokeBonusTime: (params) => this.executeAction('revokeBonusTime', params),
+      nameDevice: (params) => this.executeAction('nameDevice', params),
+      listDevices: (params) => this.executeAction('listDevices', params),
+      getDecisionLog: (params) => this.executeAction('getDecisionLog', params)
+    };
   }
 
   /**
@@ -44,56 +166,333 @@ class PlayStationPlugin extends EventEmitter {
    */
   async onLoad(pluginConfig, allow2Client) {
     try {
-      console.log('[PlayStation Plugin] Loading...');
+      this.logger.info('Loading');
 
       this.config = pluginConfig;
       this.allow2 = allow2Client;
 
-      // Validate configuration
+      // Validate configuration before any option is read from it
       this._validateConfig();
 
+      if (this.config.maxReportGapMinutes) {
+        this.usageAccountant.maxGapMinutes = this.config.maxReportGapMinutes;
+      }
+
+      if (Array.isArray(this.config.warningThresholds)) {
+        this.warningTracker.setThresholds(this.config.warningThresholds);
+      }
+
+      if (this.config.maxExtensionMinutes) {
+        this.extensions.maxExtensionMinutes = this.config.maxExtensionMinutes;
+      }
+
+      if (this.config.maxExtensionsPerDay) {
+        this.extensions.maxExtensionsPerDay = this.config.maxExtensionsPerDay;
+      }
+
+      if (this.config.npssoLifetimeDays) {
+        this.credentialMonitor.lifetimeDays = this.config.npssoLifetimeDays;
+      }
+
+      if (this.config.npssoWarningDays) {
+        this.credentialMonitor.warningDays = this.config.npssoWarningDays;
+      }
+
+      if (this.config.historyRetentionDays) {
+        this.playHistory.retentionDays = this.config.historyRetentionDays;
+      }
+
+      if (this.config.rolloverCapMinutes) {
+        this.timeBank.rolloverCapMinutes = this.config.rolloverCapMinutes;
+      }
+
+      if (this.config.rolloverExpiryDays) {
+        this.timeBank.rolloverExpiryDays = this.config.rolloverExpiryDays;
+      }
+
+      if (this.config.devices) {
+        this.devices.setNames(this.config.devices);
+      }
+
+      this.dryRun = !!this.config.dryRun;
+
+      if (this.config.householdPool) {
+        this.householdPool.configure(this.config.householdPool);
+      }
+
+      this.titleClassifier.configure({
+        titles: this.config.titleActivities,
+        categories: this.config.categoryActivities,
+        genres: this.config.genreActivities,
+        ageRatings: this.config.ageRatingActivities,
+        defaultActivity: this.config.defaultActivity
+      });
+
+      // A re-link saved by updateCredentials() may supply the NPSSO
+      await this._loadCredentials();
+      if (!this.credentials.npsso) {
+        throw new Error('PSN NPSSO token is required in configuration');
+      }
+
       // Initialize PlayStation Network API
       this.psn = new PlayStationAPI({
-        npsso: this.config.npsso,
-        region: this.config.region || 'en-us'
+        npsso: this.credentials.npsso,
+        refreshToken: this.credentials.refreshToken,
+        refreshTokenExpiry: this.credentials.refreshTokenExpiry,
+        onTokens: (tokens) => this._persistCredentials(tokens),
+        region: this.config.region || 'en-us',
+        baseURL: this.config.baseURL,
+        authURL: this.config.authURL,
+        endpoints: this.config.endpoints,
+        timeout: this.config.requestTimeoutMs,
+        proxy: this.config.proxy,
+        retry: this.config.retry,
+        requestDeadlineMs: this.config.requestDeadlineMs,
+        rateLimit: this.config.rateLimit,
+        transport: this.psnTransport,
+        logger: this.logger.child({ component: 'PSN API' })
       });
 
-      // Authenticate with PSN
-      await this.psn.authenticate();
-
-      // Restore active sessions from cache/storage
-      await this._restoreSessions();
+      this.credentialMonitor.reset(this.credentials.npssoIssuedAt || Date.now());
 
-      // Start monitoring active play sessions
-      this._startMonitoring();
+      // Authenticate with PSN (via the stored refresh token when there is one)
+      await this.psn.ensureAuthenticated();
 
-      this.isInitialized = true;
-      this.emit('initialized');
+      await this._start();
 
-      console.log('[PlayStation Plugin] Loaded successfully');
+      this.logger.info('Loaded successfully');
       return { success: true };
 
     } catch (error) {
       this.lastError = error;
-      console.error('[PlayStation Plugin] Load error:', error);
+      this.logger.error('Load failed', { error });
+
+      // A dead NPSSO leaves the plugin waiting for updateCredentials()
+      if (this._handleAuthError(error)) {
+        return { success: false, error: error.message, credentialsExpired: true };
+      }
+
       this.emit('error', error);
       return { success: false, error: error.message };
     }
   }
 
+  /**
+   * Restore state and start monitoring once authenticated
+   */
+  async _start() {
+    // Restore active sessions from storage
+    if (!this.sessionStore) {
+      this.sessionStore = new JsonFileSessionStore(
+        this.config.sessionStorePath ||
+        path.join(os.homedir(), '.allow2automate', 'playstation-sessions.json')
+      );
+    }
+    await this._restoreSessions();
+
+    if (!this.historyStore) {
+      this.historyStore = new JsonFileSessionStore(
+        this.config.historyStorePath ||
+        path.join(os.homedir(), '.allow2automate', 'playstation-history.json')
+      );
+    }
+    await this._restoreHistory();
+
+    // Start monitoring active play sessions
+    this._startMonitoring();
+
+    this.isInitialized = true;
+    this.emit('initialized');
+  }
+
+  /**
+   * Resolve PSN credentials from the host configuration (encrypted, or a
+   * plain NPSSO for older hosts) and the credential store, whichever NPSSO
+   * was issued most recently. Refresh tokens are only reused while they
+   * belong to that NPSSO.
+   */
+  async _loadCredentials() {
+    const vault = this.credentialVault;
+    const supplied = this.config.encryptedCredentials
+      ? this._requireVault().open(this.config.encryptedCredentials)
+      : { npsso: this.config.npsso };
+    const configured = {
+      npsso: supplied.npsso,
+      npssoIssuedAt: supplied.npssoIssuedAt || this.config.npssoIssuedAt || null
+    };
+
+    if (vault && !this.credentialStore) {
+      this.credentialStore = new JsonFileSessionStore(
+        this.config.credentialStorePath ||
+        path.join(os.homedir(), '.allow2automate', 'playstation-credentials.json'),
+        { mode: 0o600 }
+      );
+    }
+
+    // A stored file that no longer opens (rotated key, corruption) is
+    // replaced by the configured credentials below
+    let stored = {};
+    if (vault) {
+      try {
+        const envelope = await this.credentialStore.load();
+        stored = envelope ? vault.open(envelope) : {};
+      } catch (error) {
+        this.logger.warn('Could not read stored credentials, using the configured NPSSO', { error });
+      }
+    }
+
+    // A re-link saved by updateCredentials() is newer than the host config
+    const useStored = !!stored.npsso && (
+      !configured.npsso ||
+      stored.npsso === configured.npsso ||
+      (stored.npssoIssuedAt || 0) > (configured.npssoIssuedAt || 0)
+    );
+
+    this.credentials = useStored
+      ? { ...stored, npssoIssuedAt: stored.npssoIssuedAt || configured.npssoIssuedAt }
+      : { ...configured, refreshToken: null, refreshTokenExpiry: null };
+    registerSecret(this.credentials.npsso);
+
+    // Move a plain or newly supplied NPSSO into the encrypted store
+    if (vault && this.credentials.npsso && !useStored) {
+      await this._persistCredentials();
+    }
+  }
+
+  /**
+   * Encrypt the current credentials into the credential store
+   * Saves are chained so a token refresh never races a re-link
+   */
+  _persistCredentials(tokens = {}) {
+    this.credentials = { ...this.credentials, ...tokens };
+
+    if (!this.credentialVault || !this.credentialStore) {
+      return Promise.resolve();
+    }
+
+    this.credentialSave = (this.credentialSave || Promise.resolve())
+      .then(() => this.credentialStore.save(this.credentialVault.seal(this.credentials)))
+      .catch(error => {
+        this.logger.error('Could not save credentials', { error });
+      });
+
+    return this.credentialSave;
+  }
+
+  /**
+   * Encrypt credentials for the host to keep in plugin configuration as
+   * `encryptedCredentials` (used by the config UI instead of a raw NPSSO)
+   * Returns null when the host supplied no encryption key, so the UI falls
+   * back to saving the NPSSO in plain configuration
+   */
+  sealCredentials(credentials) {
+    return this.credentialVault ? this.credentialVault.seal(credentials) : null;
+  }
+
+  _requireVault() {
+    if (!this.credentialVault) {
+      throw new Error('Credential encryption key is not configured');
+    }
+    return this.credentialVault;
+  }
+
+  /**
+   * Replace the NPSSO token without restarting the plugin (parent re-link)
+   * Without a credential vault there is no credential store, so the new
+   * NPSSO is handed to the host to save in plugin configuration
+   * (`configUpdateRequired`)
+   */
+  async updateCredentials(npsso) {
+    try {
+      if (!npsso) {
+        throw new Error('NPSSO token is required');
+      }
+
+      if (!this.psn) {
+        throw new Error('Plugin not configured');
+      }
+
+      await this.psn.replaceNpsso(npsso);
+
+      this.config.npssoIssuedAt = Date.now();
+      this.credentialMonitor.reset(this.config.npssoIssuedAt);
+      await this._persistCredentials({
+        npsso,
+        npssoIssuedAt: this.config.npssoIssuedAt,
+        refreshToken: this.psn.refreshToken,
+        refreshTokenExpiry: this.psn.refreshTokenExpiry
+      });
+
+      this.logger.info('PSN credentials updated');
+
+      if (!this.credentialVault) {
+        this.config.npsso = npsso;
+        this.emit('configUpdateRequired', { npsso, npssoIssuedAt: this.config.npssoIssuedAt });
+      }
+
+      if (this.isInitialized) {
+        await this._saveSessions();
+      } else {
+        await this._start();
+      }
+
+      const credentials = this.credentialMonitor.status();
+      this.emit('credentialsUpdated', credentials);
+      return { success: true, credentials };
+
+    } catch (error) {
+      this.lastError = error;
+      this.logger.error('Credential update failed', { error });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Emit credentialsExpired the first time PSN rejects the NPSSO
+   * Returns true when the error was an authentication expiry
+   */
+  _handleAuthError(error) {
+    if (!(error instanceof AuthExpiredError)) {
+      return false;
+    }
+
+    if (!this.credentialMonitor.expired) {
+      this.credentialMonitor.expired = true;
+      this.logger.error('PSN credentials expired, waiting for a new NPSSO token', { error });
+      this.emit('credentialsExpired', {
+        ...this.credentialMonitor.status(),
+        error: error.message
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * Emit credentialsExpiring ahead of the estimated NPSSO expiry
+   */
+  _checkCredentialAge() {
+    if (this.credentialMonitor.shouldWarn()) {
+      const status = this.credentialMonitor.status();
+      this.logger.warn('PSN NPSSO token expires soon', { daysRemaining: status.daysRemaining });
+      this.emit('credentialsExpiring', status);
+    }
+  }
+
   /**
    * Plugin lifecycle: Called when plugin is unloaded
    * Clean up resources and save state
    */
   async onUnload() {
     try {
-      console.log('[PlayStation Plugin] Unloading...');
+      this.logger.info('Unloading');
 
       // Stop monitoring
       this._stopMonitoring();
 
-      // Save active sessions
+      // Save active sessions and play history
       await this._saveSessions();
+      await this._saveHistory();
 
       // Clear cache
       this.cache.flushAll();
@@ -101,11 +500,11 @@ class PlayStationPlugin extends EventEmitter {
       this.isInitialized = false;
       this.emit('unloaded');
 
-      console.log('[PlayStation Plugin] Unloaded successfully');
+      this.logger.info('Unloaded successfully');
       return { success: true };
 
     } catch (error) {
-      console.error('[PlayStation Plugin] Unload error:', error);
+      this.logger.error('Unload failed', { error });
       return { success: false, error: error.message };
     }
   }
@@ -116,7 +515,7 @@ class PlayStationPlugin extends EventEmitter {
    */
   async newState(allow2State) {
     try {
-      console.log('[PlayStation Plugin] Processing new state:', allow2State);
+      this.logger.debug('Processing new state', { children: Object.keys(allow2State.children || {}) });
 
       if (!this.isInitialized) {
         throw new Error('Plugin not initialized');
@@ -127,6 +526,8 @@ class PlayStationPlugin extends EventEmitter {
       // Process each child's state
       for (const childId in allow2State.children) {
         const childState = allow2State.children[childId];
+        this.childStates.set(childId, childState);
+        this.parentDisabled.delete(childId);
         const result = await this._processChildState(childId, childState);
         results.push(result);
       }
@@ -136,7 +537,7 @@ class PlayStationPlugin extends EventEmitter {
 
     } catch (error) {
       this.lastError = error;
-      console.error('[PlayStation Plugin] State processing error:', error);
+      this.logger.error('State processing failed', { error });
       this.emit('error', error);
       return { success: false, error: error.message };
     }
@@ -150,40 +551,93 @@ class PlayStationPlugin extends EventEmitter {
       // Get PSN account mapping
       const psnAccount = this._getPSNAccountForChild(childId);
       if (!psnAccount) {
-        console.warn(`[PlayStation Plugin] No PSN account mapped for child ${childId}`);
+        this.logger.warn('No PSN account mapped', { childId });
         return { childId, skipped: true, reason: 'No PSN account mapped' };
       }
 
       const actions = [];
+      this.pendingStates.delete(childId);
+      const schedule = this._evaluateSchedule(psnAccount);
 
       // Check if child is currently blocked
       if (state.blocked) {
-        console.log(`[PlayStation Plugin] Child ${childId} is blocked, suspending PSN session`);
+        this._decide(psnAccount, 'suspend', `Allow2 blocked the child${state.blockedReason ? `: ${state.blockedReason}` : ''}`);
         await this._suspendSession(psnAccount);
         actions.push({ type: 'suspend', reason: state.blockedReason });
+      } else if (this.parentDisabled.has(childId)) {
+        this._decide(psnAccount, 'suspend', 'Parent disabled access');
+        await this._suspendSession(psnAccount);
+        actions.push({ type: 'suspend', reason: 'Parent disabled access' });
+      } else if (this.householdPool.includes(childId) && this.householdPool.exhausted()) {
+        // The shared household budget is used up for every child in it
+        const pool = this.householdPool.report();
+        this._decide(psnAccount, 'suspend', `Household pool used up (${pool.usedMinutes} of ${pool.dailyMinutes} minutes)`, {
+          byChild: pool.byChild
+        });
+        await this._suspendSession(psnAccount);
+        actions.push({ type: 'suspend', reason: 'Household pool exhausted' });
+      } else if (!schedule.allowed) {
+        // Outside the child's scheduled hours, whatever quota is left
+        this._decide(psnAccount, 'suspend', `Outside scheduled hours (rule "${schedule.rule}")`, { schedule });
+        await this._suspendSession(psnAccount);
+        actions.push({ type: 'suspend', reason: `Schedule: ${schedule.rule}` });
       } else {
         // Check quota availability
         const quotaCheck = await this._checkQuota(childId, psnAccount);
+        this._trackQuotaState(childId, psnAccount, quotaCheck);
+        const quota = {
+          activity: quotaCheck.activity,
+          remaining: quotaCheck.remaining,
+          playTime: quotaCheck.playTime,
+          bonusMinutes: quotaCheck.bonusMinutes,
+          offline: !!quotaCheck.offline
+        };
 
         if (quotaCheck.allowed) {
+          this._clearGracePeriod(psnAccount);
+          const left = quotaCheck.remaining != null ? `${quotaCheck.remaining} minutes left` : 'no limit reported';
+
           // Allow play - resume if suspended
-          if (this.activeSessions.has(psnAccount.accountId)) {
+          const session = this.activeSessions.get(psnAccount.accountId);
+          if (session && session.suspended) {
+            this._decide(psnAccount, 'resume', `Quota available (${left})`, quota);
+            await this._resumeSession(psnAccount);
+            actions.push({ type: 'resume' });
+          } else {
+            this._decide(psnAccount, 'allow', `Quota available (${left})`, quota);
+          }
+        } else {
+          const reprieve = this._getReprieve(childId, psnAccount, quotaCheck);
+
+          if (reprieve) {
+            // Grace period or approved extension - let the match finish
+            const reason = reprieve.type === 'extension'
+              ? `Quota used up, approved extension ${reprieve.requestId} is running`
+              : 'Quota used up mid-match, grace period running';
+            this._decide(psnAccount, reprieve.type, reason, { ...quota, ...reprieve });
+            actions.push(reprieve);
+
+            // An extension approved after the quota suspension lets the child back on
             const session = this.activeSessions.get(psnAccount.accountId);
-            if (session.suspended) {
+            if (reprieve.type === 'extension' && session && session.suspended) {
               await this._resumeSession(psnAccount);
               actions.push({ type: 'resume' });
             }
+          } else {
+            // Quota exhausted - suspend session
+            this._decide(psnAccount, 'suspend', `Quota used up (${quotaCheck.playTime} minutes played today)`, quota);
+            await this._suspendSession(psnAccount);
+            this.extensions.markEnforced(childId);
+            actions.push({ type: 'suspend', reason: 'Quota exhausted' });
           }
-        } else {
-          // Quota exhausted - suspend session
-          console.log(`[PlayStation Plugin] Quota exhausted for child ${childId}`);
-          await this._suspendSession(psnAccount);
-          actions.push({ type: 'suspend', reason: 'Quota exhausted' });
         }
       }
 
       // Apply game restrictions if specified
       if (state.restrictions && state.restrictions.games) {
+        this._decide(psnAccount, 'restrictions', `Allow2 sent ${state.restrictions.games.length} game restriction(s)`, {
+          games: state.restrictions.games
+        });
         await this._applyGameRestrictions(psnAccount, state.restrictions.games);
         actions.push({ type: 'restrictions', games: state.restrictions.games });
       }
@@ -196,147 +650,1021 @@ class PlayStationPlugin extends EventEmitter {
       };
 
     } catch (error) {
-      console.error(`[PlayStation Plugin] Error processing child ${childId}:`, error);
-      return {
-        childId,
-        success: false,
-        error: error.message
-      };
+      this.logger.error('Could not process child state', { childId, error });
+      return this._handleChildFailure(childId, state, error);
     }
   }
 
   /**
-   * Check Allow2 quota for a child
+   * Re-evaluate a child against their last Allow2 state
+   * Game restrictions are only applied when Allow2 sends them.
    */
-  async _checkQuota(childId, psnAccount) {
-    try {
-      // Get current play time from PSN
-      const playTime = await this.psn.getPlayTime(psnAccount.accountId);
-
-      // Check quota with Allow2
-      const quotaResponse = await this.allow2.check({
-        childId,
-        activities: [{
-          activity: 'gaming',
-          log: true,
-          time: playTime.todayMinutes
-        }]
-      });
+  async _reevaluateChild(childId) {
+    const state = { ...this.childStates.get(childId) };
+    delete state.restrictions;
+    return this._processChildState(childId, state);
+  }
 
-      return {
-        allowed: quotaResponse.allowed,
-        remaining: quotaResponse.remaining,
-        playTime: playTime.todayMinutes
-      };
+  /**
+   * Record why an enforcement action was chosen for a child
+   */
+  _decide(psnAccount, action, reason, details = {}) {
+    const decision = this.decisions.record({
+      childId: psnAccount.childId,
+      accountId: psnAccount.accountId,
+      action,
+      reason,
+      details,
+      dryRun: this.dryRun
+    });
+
+    this.logger.info('Enforcement decision', { childId: psnAccount.childId, action, reason, dryRun: this.dryRun });
+    this.emit('decision', decision);
+    return decision;
+  }
 
-    } catch (error) {
-      console.error('[PlayStation Plugin] Quota check error:', error);
-      throw error;
+  /**
+   * Perform a PSN write, or in dry-run mode only report it
+   * `write` is `{ method, args, before, after }`; `method` is a
+   * PlayStationAPI method taking the account ID first. Dry-run writes are
+   * emitted as `dryRunWrite` with the settings before and after.
+   */
+  async _psnWrite(psnAccount, { method, args = [], before = null, after = null }) {
+    if (!this.dryRun) {
+      return this.psn[method](psnAccount.accountId, ...args);
     }
+
+    const write = {
+      at: Date.now(),
+      childId: psnAccount.childId,
+      accountId: psnAccount.accountId,
+      method,
+      args,
+      before,
+      after
+    };
+
+    this.logger.info('Dry run, skipping PSN write', { accountId: psnAccount.accountId, method });
+    this.emit('dryRunWrite', write);
+    return true;
   }
 
   /**
-   * Suspend a PlayStation session (parental control)
+   * Decide what to do when enforcing a child's state failed:
+   * - retry: transient network failure or throttling; the state is
+   *   re-applied on the next monitoring tick
+   * - skip: the mapped PSN account no longer exists
+   * - alert: authentication, permission, validation or unknown failures
+   *   the parent has to look at (emits `enforcementAlert`)
    */
-  async _suspendSession(psnAccount) {
-    try {
-      console.log(`[PlayStation Plugin] Suspending session for ${psnAccount.accountId}`);
+  _handleChildFailure(childId, state, error) {
+    const psnAccount = this._getPSNAccountForChild(childId);
+    const result = {
+      childId,
+      psnAccountId: psnAccount ? psnAccount.accountId : null,
+      success: false,
+      error: error.message
+    };
 
-      // Use PSN parental control API to set play time to 0
-      await this.psn.setPlayTimeLimit(psnAccount.accountId, 0);
+    if (error.retryable) {
+      this.pendingStates.set(childId, state);
+      return { ...result, retry: true, retryAfterMs: error.retryAfterMs || this.POLL_INTERVAL_MS };
+    }
 
-      // Update session state
-      const session = this.activeSessions.get(psnAccount.accountId) || {};
-      session.suspended = true;
-      session.suspendedAt = Date.now();
-      this.activeSessions.set(psnAccount.accountId, session);
+    if (error instanceof NotFoundError) {
+      this.logger.warn('PSN account not found, skipping', { childId, accountId: result.psnAccountId });
+      return { ...result, skipped: true, reason: 'PSN account not found' };
+    }
 
-      this.emit('sessionSuspended', { accountId: psnAccount.accountId });
+    // A dead NPSSO is reported once through credentialsExpired
+    if (!this._handleAuthError(error)) {
+      this.emit('enforcementAlert', {
+        childId,
+        accountId: result.psnAccountId,
+        type: error.name,
+        status: error.status ?? null,
+        endpoint: error.endpoint ?? null,
+        psnCode: error.psnCode ?? null,
+        error: error.message
+      });
+    }
 
-    } catch (error) {
-      console.error('[PlayStation Plugin] Suspend error:', error);
-      throw error;
+    return { ...result, alert: true };
+  }
+
+  /**
+   * Classify a failure while monitoring one account, as
+   * `_handleChildFailure` does: retryable errors wait for the next tick,
+   * missing accounts are skipped and the rest raise credentialsExpired or
+   * enforcementAlert
+   */
+  _handleMonitorFailure(psnAccount, error) {
+    const { childId, accountId } = psnAccount;
+
+    if (error.retryable) {
+      this.logger.warn('Monitoring failed, retrying next tick', { childId, accountId, error });
+      return;
+    }
+
+    if (error instanceof NotFoundError) {
+      this.logger.warn('PSN account not found, skipping', { childId, accountId });
+      return;
+    }
+
+    if (!this._handleAuthError(error)) {
+      this.logger.error('Monitoring failed', { childId, accountId, error });
+      this.emit('enforcementAlert', {
+        childId,
+        accountId,
+        type: error.name,
+        status: error.status ?? null,
+        endpoint: error.endpoint ?? null,
+        psnCode: error.psnCode ?? null,
+        error: error.message
+      });
     }
   }
 
   /**
-   * Resume a PlayStation session
+   * Execute a manifest-declared action by id
+   * Validates parameters and returns a structured result
    */
-  async _resumeSession(psnAccount) {
+  async executeAction(actionId, params) {
     try {
-      console.log(`[PlayStation Plugin] Resuming session for ${psnAccount.accountId}`);
+      if (!this.isInitialized) {
+        throw new Error('Plugin not initialized');
+      }
 
-      // Reset play time limit (or set to configured value)
-      const dailyLimit = this.config.defaultDailyLimit || 480; // 8 hours default
-      await this.psn.setPlayTimeLimit(psnAccount.accountId, dailyLimit);
+      const errors = validateActionParams(actionId, params);
+      if (errors.length > 0) {
+        return { success: false, action: actionId, error: errors.join(', ') };
+      }
 
-      // Update session state
-      const session = this.activeSessions.get(psnAccount.accountId) || {};
-      session.suspended = false;
-      session.resumedAt = Date.now();
-      this.activeSessions.set(psnAccount.accountId, session);
+      // Child-scoped actions need a mapped PSN account
+      const psnAccount = params.childId ? this._getPSNAccountForChild(params.childId) : null;
+      if (params.childId && !psnAccount) {
+        return {
+          success: false,
+          action: actionId,
+          error: `No PSN account mapped for child ${params.childId}`
+        };
+      }
 
-      this.emit('sessionResumed', { accountId: psnAccount.accountId });
+      let data;
+      switch (actionId) {
+        case 'checkQuota':
+          // Read-only: an automation polling the quota must not log usage
+          data = await this._checkQuota(params.childId, psnAccount, params.activityId, { log: false });
+          break;
+
+        case 'enableAccess':
+          if (params.deviceId) {
+            data = await this.setDeviceAccess(params.childId, params.deviceId, true);
+          } else {
+            this.parentDisabled.delete(params.childId);
+            this._decide(psnAccount, 'resume', 'Parent enabled access');
+            await this._resumeSession(psnAccount);
+            data = { enabled: true, deviceId: null };
+          }
+          break;
+
+        case 'disableAccess':
+          if (params.deviceId) {
+            data = await this.setDeviceAccess(params.childId, params.deviceId, false);
+          } else {
+            this.parentDisabled.add(params.childId);
+            this._decide(psnAccount, 'suspend', 'Parent disabled access');
+            await this._suspendSession(psnAccount);
+            data = { enabled: false, deviceId: null };
+          }
+          break;
+
+        case 'reportUsage':
+          data = await this._reportUsage(psnAccount, params);
+          break;
+
+        case 'requestExtension':
+          data = await this.requestExtension(params.childId, params.minutes, params.reason);
+          break;
+
+        case 'approveExtension':
+          data = await this.approveExtension(params.requestId);
+          break;
+
+        case 'denyExtension':
+          data = await this.denyExtension(params.requestId);
+          break;
+
+        case 'getPlayReport':
+          data = this.getPlayReport(params.childId, { period: params.period, date: params.date });
+          break;
+
+        case 'exportPlayHistory':
+          data = {
+            format: params.format || 'csv',
+            content: this.exportPlayHistory({
+              format: params.format,
+              childId: params.childId,
+              from: params.from,
+              to: params.to
+            })
+          };
+          break;
+
+        case 'grantBonusTime':
+          data = await this.grantBonusTime(params.childId, params.minutes, {
+            reason: params.reason,
+            expiresAt: params.expiresAt
+          });
+          break;
+
+        case 'listBonusTime':
+          data = this.listBonusTime(params.childId);
+          break;
+
+        case 'revokeBonusTime':
+          data = await this.revokeBonusTime(params.grantId);
+          break;
+
+        case 'nameDevice':
+          data = await this.nameDevice(params.deviceId, params.name);
+          break;
+
+        case 'listDevices':
+          data = this.devices.list();
+          break;
+
+        case 'getDecisionLog':
+          data = this.getDecisionLog({ childId: params.childId, limit: params.limit });
+          break;
+      }
+
+      return {
+        success: true,
+        action: actionId,
+        childId: psnAccount ? psnAccount.childId : data.childId,
+        psnAccountId: psnAccount ? psnAccount.accountId : null,
+        data
+      };
 
     } catch (error) {
-      console.error('[PlayStation Plugin] Resume error:', error);
-      throw error;
+      this.lastError = error;
+      this.logger.error('Action failed', { actionId, error });
+      this._handleAuthError(error);
+      return { success: false, action: actionId, error: error.message };
     }
   }
 
   /**
-   * Apply game restrictions (block/unblock specific games)
+   * Report play time to Allow2 (duration in seconds)
    */
-  async _applyGameRestrictions(psnAccount, gameRestrictions) {
-    try {
-      console.log(`[PlayStation Plugin] Applying game restrictions for ${psnAccount.accountId}`);
+  async _reportUsage(psnAccount, { childId, activityId, duration, metadata }) {
+    const minutes = duration / 60;
 
-      for (const restriction of gameRestrictions) {
-        if (restriction.action === 'block') {
-          await this.psn.blockGame(psnAccount.accountId, restriction.gameId);
-        } else if (restriction.action === 'unblock') {
-          await this.psn.unblockGame(psnAccount.accountId, restriction.gameId);
-        }
-      }
+    const activity = activityId || this.titleClassifier.defaultActivity;
+    const { buffered } = await this._logUsage(childId, activity, minutes, {
+      ...metadata,
+      platform: 'PlayStation',
+      accountId: psnAccount.accountId
+    });
 
-      this.emit('restrictionsApplied', {
-        accountId: psnAccount.accountId,
-        restrictions: gameRestrictions
+    return { activity, minutes, buffered };
+  }
+
+  /**
+   * Log usage to Allow2, buffering it locally if Allow2 is unreachable
+   */
+  async _logUsage(childId, activity, time, meta) {
+    try {
+      // Send anything buffered first so Allow2 receives usage in order
+      await this._flushUsageBuffer();
+
+      await this.allow2.log({
+        childId,
+        activities: [{ activity, time, meta }]
       });
 
+      this._setAllow2Online();
+      return { buffered: false };
+
     } catch (error) {
-      console.error('[PlayStation Plugin] Restrictions error:', error);
-      throw error;
+      this.logger.warn('Allow2 log failed, buffering usage', { childId, minutes: time, error });
+      this.usageBuffer.add(childId, activity, time, meta);
+      this._setAllow2Offline(error);
+      return { buffered: true };
     }
   }
 
   /**
-   * Start monitoring active play sessions
+   * Replay buffered usage to Allow2
    */
-  _startMonitoring() {
-    if (this.pollingInterval) {
-      return; // Already monitoring
+  async _flushUsageBuffer() {
+    if (this.usageBuffer.size === 0) {
+      return 0;
     }
 
-    console.log('[PlayStation Plugin] Starting session monitoring');
+    const sent = await this.usageBuffer.flush(entry => this.allow2.log({
+      childId: entry.childId,
+      activities: [{
+        activity: entry.activity,
+        time: entry.time,
+        meta: { ...entry.meta, recordedAt: entry.at }
+      }]
+    }));
 
-    this.pollingInterval = setInterval(async () => {
-      try {
-        await this._monitorSessions();
-      } catch (error) {
-        console.error('[PlayStation Plugin] Monitoring error:', error);
-      }
-    }, this.POLL_INTERVAL_MS);
+    this.logger.info('Reconciled buffered usage with Allow2', { entries: sent });
+    this.emit('usageReconciled', { entries: sent });
+    return sent;
   }
 
   /**
-   * Stop monitoring active play sessions
+   * Track Allow2 connectivity and emit allow2Offline/allow2Online on change
    */
-  _stopMonitoring() {
-    if (this.pollingInterval) {
-      clearInterval(this.pollingInterval);
-      this.pollingInterval = null;
-      console.log('[PlayStation Plugin] Stopped session monitoring');
+  _setAllow2Offline(error) {
+    if (!this.allow2Offline) {
+      this.allow2Offline = true;
+      this.emit('allow2Offline', { error: error.message, since: new Date() });
+    }
+  }
+
+  _setAllow2Online() {
+    if (this.allow2Offline) {
+      this.allow2Offline = false;
+      this.emit('allow2Online', { bufferedEntries: this.usageBuffer.size });
+    }
+  }
+
+  /**
+   * Check Allow2 quota for a child
+   * Without an explicit activity, the quota of the activity the current
+   * title is classified as is checked. Checks only read the quota by
+   * default: play is reported once, as deltas through `_logUsage`
+   */
+  async _checkQuota(childId, psnAccount, activity = null, { log = false } = {}) {
+    try {
+      // Get current play time from PSN
+      const playTime = await this.psn.getPlayTime(psnAccount.accountId);
+      activity = activity || this._activityFor(psnAccount, playTime);
+
+      // PSN's total covers every title; only this activity's play counts
+      const activityMinutes = this.usageAccountant.activityMinutes(psnAccount.accountId, activity);
+
+      // Check quota with Allow2, falling back to the local estimate
+      let quotaResponse;
+      try {
+        quotaResponse = await this.allow2.check({
+          childId,
+          activities: [{
+            activity,
+            log,
+            time: activityMinutes
+          }]
+        });
+      } catch (error) {
+        return this._offlineQuotaCheck(childId, activity, playTime, activityMinutes, error);
+      }
+
+      this.offlineQuota.record(childId, activity, {
+        allowed: quotaResponse.allowed,
+        remaining: quotaResponse.remaining,
+        dayType: quotaResponse.dayType,
+        playTime: activityMinutes
+      });
+      this._setAllow2Online();
+
+      try {
+        await this._flushUsageBuffer();
+      } catch (error) {
+        this.logger.warn('Could not reconcile buffered usage', { error });
+      }
+
+      const decision = this._applyBonusTime(childId, activity, quotaResponse);
+
+      return {
+        allowed: decision.allowed,
+        remaining: decision.remaining,
+        bonusMinutes: decision.bonusMinutes,
+        activity,
+        playTime: playTime.todayMinutes,
+        currentlyPlaying: playTime.currentlyPlaying,
+        // Allow2's quota day and the day's allowance, when it reports them
+        day: quotaResponse.day || dayKey(Date.now()),
+        allowance: quotaResponse.allowance ?? null
+      };
+
+    } catch (error) {
+      this.logger.error('Quota check failed', { childId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Local quota decision while Allow2 is unreachable
+   * Uses today's cached quota when available, otherwise the configured
+   * offline mode (fail-open allows play, fail-closed denies it)
+   */
+  _offlineQuotaCheck(childId, activity, playTime, activityMinutes, error) {
+    this._setAllow2Offline(error);
+
+    const estimate = this.offlineQuota.estimate(childId, activity, activityMinutes);
+    const mode = this.config.offlineMode || 'fail-open';
+
+    this.logger.warn('Allow2 unreachable, using offline quota', { childId, source: estimate ? 'cached quota' : mode, error });
+
+    const decision = estimate || {
+      allowed: mode === 'fail-open',
+      remaining: null,
+      dayType: null
+    };
+    const adjusted = this._applyBonusTime(childId, activity, decision);
+
+    return {
+      allowed: adjusted.allowed,
+      remaining: adjusted.remaining,
+      bonusMinutes: adjusted.bonusMinutes,
+      activity,
+      playTime: playTime.todayMinutes,
+      currentlyPlaying: playTime.currentlyPlaying,
+      offline: true,
+      offlineSource: estimate ? 'cache' : mode,
+      dayType: decision.dayType,
+      day: dayKey(Date.now()),
+      allowance: null
+    };
+  }
+
+  /**
+   * Top up the play quota (the default activity) with the child's bonus and
+   * banked time; other activities keep their Allow2 decision
+   */
+  _applyBonusTime(childId, activity, decision) {
+    if (activity !== this.titleClassifier.defaultActivity) {
+      return { allowed: decision.allowed, remaining: decision.remaining, bonusMinutes: 0 };
+    }
+
+    return this.timeBank.adjust(childId, decision);
+  }
+
+  /**
+   * Decide whether an exhausted quota should be enforced yet
+   * Returns a grace/extension action while the child may keep playing, or null
+   */
+  _getReprieve(childId, psnAccount, quotaCheck) {
+    const extension = this.extensions.activeExtension(childId);
+    if (extension) {
+      return { type: 'extension', requestId: extension.id, expiresAt: extension.expiresAt };
+    }
+
+    const graceMinutes = this.config.gracePeriodMinutes || 0;
+    const session = this.activeSessions.get(psnAccount.accountId) || {};
+
+    // Grace only applies to a match in progress on an account we haven't
+    // suspended, and never follows an extension (no chaining)
+    if (graceMinutes <= 0 || !quotaCheck.currentlyPlaying || session.suspended ||
+        this.extensions.approvedToday(childId) > 0) {
+      return null;
+    }
+
+    const now = Date.now();
+
+    if (!session.graceStartedAt) {
+      session.graceStartedAt = now;
+      this.activeSessions.set(psnAccount.accountId, session);
+
+      this.emit('gracePeriodStarted', {
+        childId,
+        accountId: psnAccount.accountId,
+        minutes: graceMinutes,
+        endsAt: now + graceMinutes * 60000
+      });
+    }
+
+    const endsAt = session.graceStartedAt + graceMinutes * 60000;
+    return now < endsAt ? { type: 'grace', endsAt } : null;
+  }
+
+  /**
+   * Forget a finished grace period once quota is available again
+   */
+  _clearGracePeriod(psnAccount) {
+    const session = this.activeSessions.get(psnAccount.accountId);
+    if (session && session.graceStartedAt) {
+      session.graceStartedAt = null;
+    }
+  }
+
+  /**
+   * Whether a grace period or extension has run out since the last enforcement
+   */
+  _reprieveExpired(psnAccount) {
+    const session = this.activeSessions.get(psnAccount.accountId) || {};
+    const graceMinutes = this.config.gracePeriodMinutes || 0;
+
+    const graceExpired = !!session.graceStartedAt && !session.suspended &&
+      Date.now() >= session.graceStartedAt + graceMinutes * 60000;
+
+    return graceExpired || this.extensions.hasExpired(psnAccount.childId);
+  }
+
+  /**
+   * Evaluate a child's time-of-day schedule now, on the console they are on
+   * Consoles a parent disabled for the child count as all-day block rules
+   */
+  _evaluateSchedule(psnAccount) {
+    const disabled = this.devices.disabledFor(psnAccount.childId).map(deviceId => ({
+      name: `Disabled on ${this.devices.get(deviceId).name || deviceId}`,
+      type: 'block',
+      devices: [deviceId],
+      from: '00:00',
+      to: '24:00'
+    }));
+
+    return this.schedules.evaluate(
+      [...psnAccount.schedule, ...disabled],
+      psnAccount.timezone,
+      this._currentDevice(psnAccount)
+    );
+  }
+
+  /**
+   * Re-evaluate a child's schedule, remembering the result on the session
+   * Emits scheduleChanged when the deciding rule changes; returns true when
+   * play became allowed or forbidden since the last tick
+   */
+  _scheduleChanged(psnAccount) {
+    const schedule = this._evaluateSchedule(psnAccount);
+    const session = this.activeSessions.get(psnAccount.accountId) || {};
+    const previous = session.schedule || { allowed: true, rule: null };
+
+    session.schedule = schedule;
+    this.activeSessions.set(psnAccount.accountId, session);
+
+    if (previous.allowed === schedule.allowed && previous.rule === schedule.rule) {
+      return false;
+    }
+
+    this.emit('scheduleChanged', {
+      childId: psnAccount.childId,
+      accountId: psnAccount.accountId,
+      ...schedule
+    });
+    return previous.allowed !== schedule.allowed;
+  }
+
+  /**
+   * Record the console an account is on from PSN presence
+   * Emits deviceChanged when the child moves to another console; presence
+   * failures are logged and leave the last-seen console in place
+   */
+  async _observeDevice(psnAccount) {
+    let presence;
+    try {
+      presence = await this.psn.getPresence(psnAccount.accountId);
+    } catch (error) {
+      this.logger.warn('Could not get PSN presence', { accountId: psnAccount.accountId, error });
+      return;
+    }
+
+    if (!presence.online || !(presence.deviceId || presence.platform)) {
+      return;
+    }
+
+    const session = this.activeSessions.get(psnAccount.accountId) || {};
+    const changed = session.deviceId !== presence.deviceId || session.platform !== presence.platform;
+
+    session.deviceId = presence.deviceId;
+    session.platform = presence.platform;
+    this.activeSessions.set(psnAccount.accountId, session);
+
+    if (presence.deviceId) {
+      this.devices.observe(psnAccount.accountId, presence);
+    }
+
+    if (changed) {
+      this.emit('deviceChanged', {
+        childId: psnAccount.childId,
+        accountId: psnAccount.accountId,
+        ...this._currentDevice(psnAccount)
+      });
+    }
+  }
+
+  /**
+   * Last console seen for an account (`{ deviceId, name, platform }`), or null
+   */
+  _currentDevice(psnAccount) {
+    const session = this.activeSessions.get(psnAccount.accountId);
+    if (!session || !(session.deviceId || session.platform)) {
+      return null;
+    }
+
+    const name = session.deviceId ? this.devices.get(session.deviceId).name : null;
+    return { deviceId: session.deviceId || null, name, platform: session.platform || null };
+  }
+
+  /**
+   * Name a console, e.g. "Bedroom PS4" (parent action)
+   * Names can be used in device-scoped schedule rules
+   */
+  async nameDevice(deviceId, name) {
+    const device = this.devices.name(deviceId, name);
+
+    this.logger.info('Device named', { deviceId, name });
+    await this._saveSessions();
+
+    return device;
+  }
+
+  /**
+   * Disable or re-enable one console for a child (parent action)
+   * PSN play time limits are per account, so the whole account is suspended
+   * while the child was last seen on a disabled console; presence keeps
+   * being read while suspended, and the suspension lifts once the child
+   * shows up on another console
+   */
+  async setDeviceAccess(childId, deviceId, enabled) {
+    if (enabled) {
+      this.devices.enable(childId, deviceId);
+    } else {
+      this.devices.disable(childId, deviceId);
+    }
+
+    this.logger.info(enabled ? 'Device enabled' : 'Device disabled', { childId, deviceId });
+
+    // Remember the schedule with the new rule, so the monitor notices when
+    // the child moves to another console
+    const psnAccount = this._getPSNAccountForChild(childId);
+    const scheduleChanged = this._scheduleChanged(psnAccount);
+    const session = this.activeSessions.get(psnAccount.accountId);
+    if (scheduleChanged || (enabled && session && session.suspended)) {
+      await this._reevaluateChild(childId);
+    }
+
+    await this._saveSessions();
+    return { enabled, deviceId, name: this.devices.get(deviceId).name };
+  }
+
+  /**
+   * Request a one-off play time extension for a child
+   */
+  async requestExtension(childId, minutes, reason = null) {
+    const request = this.extensions.request(childId, minutes, reason);
+
+    this.logger.info('Extension requested', { childId, minutes, requestId: request.id });
+    this.emit('extensionRequested', request);
+    await this._saveSessions();
+
+    return request;
+  }
+
+  /**
+   * Approve a pending extension request (parent action)
+   * The extension is logged to Allow2 as its own activity
+   */
+  async approveExtension(requestId) {
+    const request = this.extensions.approve(requestId);
+    const psnAccount = this._getPSNAccountForChild(request.childId);
+
+    await this._logUsage(request.childId, 'extension', request.minutes, {
+      requestId: request.id,
+      reason: request.reason,
+      platform: 'PlayStation',
+      accountId: psnAccount ? psnAccount.accountId : null
+    });
+
+    // Re-evaluate a child already cut off: only a quota suspension is lifted,
+    // schedule, household pool and Allow2 or parent blocks stay in force
+    const session = psnAccount && this.activeSessions.get(psnAccount.accountId);
+    if (session && session.suspended) {
+      await this._reevaluateChild(request.childId);
+    }
+
+    this.logger.info('Extension approved', { childId: request.childId, requestId });
+    this.emit('extensionApproved', request);
+    await this._saveSessions();
+
+    return request;
+  }
+
+  /**
+   * Grant bonus minutes to a child (parent action)
+   * A child already cut off for quota is let back on
+   */
+  async grantBonusTime(childId, minutes, { reason = null, expiresAt = null } = {}) {
+    const grant = this.timeBank.grant(childId, minutes, {
+      reason,
+      expiresAt: expiresAt != null ? toTimestamp(expiresAt) : null
+    });
+
+    this.logger.info('Bonus time granted', { childId, minutes, grantId: grant.id });
+    this.emit('bonusTimeGranted', grant);
+
+    const psnAccount = this._getPSNAccountForChild(childId);
+    const session = psnAccount && this.activeSessions.get(psnAccount.accountId);
+    if (session && session.suspended) {
+      await this._reevaluateChild(childId);
+    }
+
+    await this._saveSessions();
+    return grant;
+  }
+
+  /**
+   * Bonus grants, available minutes and audit history for a child
+   */
+  listBonusTime(childId) {
+    return {
+      childId,
+      available: this.timeBank.available(childId),
+      grants: this.timeBank.list(childId),
+      history: this.timeBank.audit(childId)
+    };
+  }
+
+  /**
+   * Revoke a bonus grant (parent action)
+   * Takes effect at the next quota check
+   */
+  async revokeBonusTime(grantId) {
+    const grant = this.timeBank.revoke(grantId);
+
+    this.logger.info('Bonus time revoked', { childId: grant.childId, grantId });
+    this.emit('bonusTimeRevoked', grant);
+    await this._saveSessions();
+
+    return grant;
+  }
+
+  /**
+   * Deny a pending extension request (parent action)
+   */
+  async denyExtension(requestId) {
+    const request = this.extensions.deny(requestId);
+
+    this.logger.info('Extension denied', { childId: request.childId, requestId });
+    this.emit('extensionDenied', request);
+    await this._saveSessions();
+
+    return request;
+  }
+
+  /**
+   * Suspend a PlayStation session (parental control)
+   */
+  async _suspendSession(psnAccount) {
+    try {
+      this.logger.info('Suspending session', { childId: psnAccount.childId, accountId: psnAccount.accountId });
+
+      const session = this.activeSessions.get(psnAccount.accountId) || {};
+
+      // A dry run only reports the write, so session state keeps matching PSN
+      if (this.dryRun) {
+        await this._psnWrite(psnAccount, {
+          method: 'setPlayTimeLimit',
+          args: [0],
+          before: session.suspended
+            ? session.savedPlayTimeSettings || null
+            : await this._snapshotPlayTimeSettings(psnAccount.accountId),
+          after: { dailyPlayTimeLimit: 0, enabled: false }
+        });
+        return;
+      }
+
+      // Snapshot the parent's play time settings before zeroing them, unless
+      // we already suspended this account (the live settings would then be ours)
+      if (!session.suspended) {
+        session.savedPlayTimeSettings = await this._snapshotPlayTimeSettings(psnAccount.accountId);
+        this.activeSessions.set(psnAccount.accountId, session);
+        await this._saveSessions();
+      }
+
+      // Use PSN parental control API to set play time to 0
+      await this._psnWrite(psnAccount, {
+        method: 'setPlayTimeLimit',
+        args: [0],
+        before: session.savedPlayTimeSettings || null,
+        after: { dailyPlayTimeLimit: 0, enabled: false }
+      });
+
+      // Update session state
+      session.suspended = true;
+      session.suspendedAt = Date.now();
+      session.graceStartedAt = null;
+      this.activeSessions.set(psnAccount.accountId, session);
+      await this._saveSessions();
+
+      this.emit('sessionSuspended', { accountId: psnAccount.accountId });
+
+    } catch (error) {
+      this.logger.error('Suspend failed', { accountId: psnAccount.accountId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Resume a PlayStation session
+   */
+  async _resumeSession(psnAccount) {
+    try {
+      this.logger.info('Resuming session', { childId: psnAccount.childId, accountId: psnAccount.accountId });
+
+      const session = this.activeSessions.get(psnAccount.accountId) || {};
+
+      // Not suspended by us: the live settings are the parent's own
+      if (!session.suspended && !session.savedPlayTimeSettings) {
+        this.logger.debug('Session not suspended, nothing to resume', { accountId: psnAccount.accountId });
+        return;
+      }
+
+      // Restore the per-child override, else the settings captured on suspend
+      const before = session.suspended ? { dailyPlayTimeLimit: 0, enabled: false } : null;
+      if (psnAccount.dailyLimitOverride != null) {
+        await this._psnWrite(psnAccount, {
+          method: 'setPlayTimeLimit',
+          args: [psnAccount.dailyLimitOverride],
+          before,
+          after: { dailyPlayTimeLimit: psnAccount.dailyLimitOverride, enabled: true }
+        });
+      } else if (session.savedPlayTimeSettings) {
+        await this._psnWrite(psnAccount, {
+          method: 'setPlayTimeSettings',
+          args: [session.savedPlayTimeSettings],
+          before,
+          after: session.savedPlayTimeSettings
+        });
+      } else {
+        const dailyLimit = this.config.defaultDailyLimit || 480; // 8 hours default
+        this.logger.warn('No saved play time settings, using default limit', { accountId: psnAccount.accountId, dailyLimit });
+        await this._psnWrite(psnAccount, {
+          method: 'setPlayTimeLimit',
+          args: [dailyLimit],
+          before,
+          after: { dailyPlayTimeLimit: dailyLimit, enabled: true }
+        });
+      }
+
+      if (this.dryRun) {
+        return;
+      }
+
+      // Update session state
+      session.suspended = false;
+      session.savedPlayTimeSettings = null;
+      session.resumedAt = Date.now();
+      this.activeSessions.set(psnAccount.accountId, session);
+      await this._saveSessions();
+
+      this.emit('sessionResumed', { accountId: psnAccount.accountId });
+
+    } catch (error) {
+      this.logger.error('Resume failed', { accountId: psnAccount.accountId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Capture an account's current play time settings from PSN
+   * Read fresh, so a limit just changed on the console is kept. Returns null
+   * when PSN has none or they cannot be read: the suspension must not wait
+   * on a read only the resume needs, which then falls back to the override
+   * or the default limit
+   */
+  async _snapshotPlayTimeSettings(accountId) {
+    let controls;
+    try {
+      controls = await this.psn.getParentalControls(accountId, { fresh: true });
+    } catch (error) {
+      this.logger.warn('Could not read play time settings, resume will use the default limit', { accountId, error });
+      return null;
+    }
+
+    if (!controls || !controls.playTimeSettings) {
+      return null;
+    }
+
+    return { ...controls.playTimeSettings };
+  }
+
+  /**
+   * Apply game restrictions (block/unblock specific games)
+   * Diffs the requested restrictions against the account's PSN restriction
+   * list, so only changes are written. Titles the plugin blocks are owned by
+   * `allow2`; blocks the parent set on PSN are never removed.
+   */
+  async _applyGameRestrictions(psnAccount, gameRestrictions) {
+    try {
+      this.logger.info('Applying game restrictions', { accountId: psnAccount.accountId });
+
+      const restricted = await this._restrictedTitles(psnAccount);
+      const plan = this.restrictions.plan(psnAccount.accountId, gameRestrictions, restricted);
+
+      for (const gameId of plan.block) {
+        await this._setRestriction(psnAccount, gameId, true);
+        if (!this.dryRun) {
+          this.restrictions.claim(psnAccount.accountId, gameId, 'allow2');
+        }
+      }
+
+      for (const gameId of plan.unblock) {
+        await this._setRestriction(psnAccount, gameId, false);
+        if (!this.dryRun) {
+          this.restrictions.release(psnAccount.accountId, gameId, 'allow2');
+        }
+      }
+
+      if (!this.dryRun) {
+        for (const gameId of plan.unchanged) {
+          if (!restricted.has(gameId)) {
+            // Unblocked outside the plugin
+            this.restrictions.release(psnAccount.accountId, gameId, 'allow2');
+          } else if (this.restrictions.ownersOf(psnAccount.accountId, gameId).length > 0) {
+            // Already blocked for a budget: keep it blocked after the budget resets
+            this.restrictions.claim(psnAccount.accountId, gameId, 'allow2');
+          }
+        }
+        for (const gameId of plan.held) {
+          this.restrictions.release(psnAccount.accountId, gameId, 'allow2');
+        }
+      }
+
+      if (plan.parentOwned.length > 0) {
+        this._decide(psnAccount, 'keepParentBlocks', 'Titles blocked by the parent on PSN stay blocked', {
+          titleIds: plan.parentOwned
+        });
+      }
+
+      this.emit('restrictionsApplied', {
+        accountId: psnAccount.accountId,
+        restrictions: gameRestrictions,
+        blocked: plan.block,
+        unblocked: plan.unblock,
+        unchanged: plan.unchanged,
+        parentOwned: plan.parentOwned,
+        held: plan.held
+      });
+
+    } catch (error) {
+      this.logger.error('Could not apply game restrictions', { accountId: psnAccount.accountId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Title IDs currently restricted on PSN for an account
+   */
+  async _restrictedTitles(psnAccount) {
+    const content = await this.psn.getRestrictedContent(psnAccount.accountId);
+    return new Set(content.map(c => c.contentId));
+  }
+
+  /**
+   * Block or unblock a title on PSN
+   * A title that is already in the requested state (PSN answering 409 on
+   * block or 404 on unblock) counts as done.
+   */
+  async _setRestriction(psnAccount, titleId, restricted) {
+    try {
+      await this._psnWrite(psnAccount, {
+        method: restricted ? 'blockGame' : 'unblockGame',
+        args: [titleId],
+        before: { gameId: titleId, restricted: !restricted },
+        after: { gameId: titleId, restricted }
+      });
+    } catch (error) {
+      const converged = restricted ? error.status === 409 : error instanceof NotFoundError;
+      if (!converged) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Start monitoring active play sessions
+   */
+  _startMonitoring() {
+    if (this.pollingInterval) {
+      return; // Already monitoring
+    }
+
+    this.logger.info('Starting session monitoring');
+
+    this.pollingInterval = setInterval(async () => {
+      try {
+        await this._monitorSessions();
+      } catch (error) {
+        this.logger.error('Monitoring failed', { error });
+      }
+    }, this.POLL_INTERVAL_MS);
+  }
+
+  /**
+   * Stop monitoring active play sessions
+   */
+  _stopMonitoring() {
+    if (this.pollingInterval) {
+      clearInterval(this.pollingInterval);
+      this.pollingInterval = null;
+      this.logger.info('Stopped session monitoring');
     }
   }
 
@@ -345,41 +1673,194 @@ class PlayStationPlugin extends EventEmitter {
    */
   async _monitorSessions() {
     try {
+      this._checkCredentialAge();
+
+      // Nothing can be enforced until the parent re-links PSN
+      if (this.credentialMonitor.expired) {
+        return;
+      }
+
+      // Lift yesterday's per-game budget blocks
+      await this._unblockExpiredGameBudgets();
+
       // Get all mapped PSN accounts
       const psnAccounts = this._getAllPSNAccounts();
 
       for (const psnAccount of psnAccounts) {
-        const childId = psnAccount.childId;
-
-        // Get current play time
-        const playTime = await this.psn.getPlayTime(psnAccount.accountId);
-
-        // Check if actively playing
-        if (playTime.currentlyPlaying) {
-          // Report to Allow2
-          await this.allow2.log({
-            childId,
-            activities: [{
-              activity: 'gaming',
-              time: 1, // 1 minute increment
-              meta: {
-                game: playTime.currentGame,
-                platform: 'PlayStation',
-                accountId: psnAccount.accountId
-              }
-            }]
-          });
+        try {
+          const childId = psnAccount.childId;
+
+          // Get current play time; a cached read would hold back minutes
+          const playTime = await this.psn.getPlayTime(psnAccount.accountId, { fresh: true });
+
+          // Which console the child is on; also while suspended, so a device
+          // rule's suspension lifts once the child shows up on another console
+          const suspended = (this.activeSessions.get(psnAccount.accountId) || {}).suspended;
+          if (playTime.currentlyPlaying || suspended) {
+            await this._observeDevice(psnAccount);
+          }
+
+          // Detect session start/end transitions
+          this._trackPlayState(psnAccount, playTime);
+          const activity = this._activityFor(psnAccount, playTime);
+
+          // Report play time accrued since the last observation
+          const minutes = this.usageAccountant.observe(psnAccount.accountId, playTime.todayMinutes, activity);
+          if (minutes > 0) {
+            if (activity === this.titleClassifier.defaultActivity) {
+              this.timeBank.consume(childId, minutes);
+            }
+            this._recordPlay(psnAccount, playTime, minutes);
+            this.householdPool.record(childId, minutes);
+            await this._enforceGameBudgets(psnAccount);
+            await this._logUsage(childId, activity, minutes, {
+              game: playTime.currentGame,
+              platform: 'PlayStation',
+              accountId: psnAccount.accountId
+            });
+          }
 
-          // Update session tracking
-          const session = this.activeSessions.get(psnAccount.accountId) || {};
-          session.lastActive = Date.now();
-          session.currentGame = playTime.currentGame;
-          this.activeSessions.set(psnAccount.accountId, session);
+          // Check if actively playing
+          if (playTime.currentlyPlaying) {
+            // Update session tracking
+            const session = this.activeSessions.get(psnAccount.accountId) || {};
+            session.lastActive = Date.now();
+            session.currentGame = playTime.currentGame;
+            session.currentGameId = playTime.currentGameId;
+            session.currentActivity = activity;
+            this.activeSessions.set(psnAccount.accountId, session);
+
+            // Warn before the quota runs out
+            await this._checkRemainingTime(psnAccount, activity);
+          }
+
+          // Enforce as soon as a grace period or extension runs out, or a
+          // schedule window opens or closes
+          const scheduleChanged = this._scheduleChanged(psnAccount);
+          if (this._reprieveExpired(psnAccount) || scheduleChanged) {
+            await this._reevaluateChild(childId);
+          }
+        } catch (error) {
+          // One failing account must not stop the tick for the others
+          this._handleMonitorFailure(psnAccount, error);
         }
       }
 
+      // Suspend the household when the shared pool runs out, resume it next day
+      await this._enforceHouseholdPool();
+
+      // Re-apply states that failed on a transient PSN error
+      for (const [childId, state] of [...this.pendingStates]) {
+        await this._processChildState(childId, state);
+      }
+
+      await this._saveSessions();
+      await this._saveHistory();
+
+    } catch (error) {
+      this.logger.error('Session monitoring failed', { error });
+      this._handleAuthError(error);
+    }
+  }
+
+  /**
+   * Fire a remaining-time warning when the child crosses a threshold
+   * The same check feeds quotaExceeded/quotaRenewed between Allow2 pushes
+   */
+  async _checkRemainingTime(psnAccount, activity = null) {
+    try {
+      const quotaCheck = await this._checkQuota(psnAccount.childId, psnAccount, activity);
+      this._trackQuotaState(psnAccount.childId, psnAccount, quotaCheck);
+
+      const threshold = this.warningTracker.check(psnAccount.childId, quotaCheck.remaining);
+      if (threshold === null) {
+        return;
+      }
+
+      this.emit('remainingTimeWarning', {
+        childId: psnAccount.childId,
+        accountId: psnAccount.accountId,
+        remaining: quotaCheck.remaining,
+        activity: quotaCheck.activity,
+        threshold
+      });
+
+      if (this.config.psnWarningMessages) {
+        const minutes = Math.ceil(quotaCheck.remaining);
+        const message = `You have ${minutes} minute${minutes === 1 ? '' : 's'} of play time left today.`;
+        await this._psnWrite(psnAccount, { method: 'sendMessage', args: [message], after: { message } });
+      }
+
     } catch (error) {
-      console.error('[PlayStation Plugin] Session monitoring error:', error);
+      this.logger.error('Remaining time check failed', { accountId: psnAccount.accountId, error });
+    }
+  }
+
+  /**
+   * Emit sessionStarted/sessionEnded when the playing status changes
+   */
+  _trackPlayState(psnAccount, playTime) {
+    const session = this.activeSessions.get(psnAccount.accountId) || {};
+    const now = Date.now();
+
+    if (playTime.currentlyPlaying && !session.playing) {
+      session.playing = true;
+      session.sessionStart = now;
+      this.activeSessions.set(psnAccount.accountId, session);
+
+      this.emit('sessionStarted', {
+        childId: psnAccount.childId,
+        deviceId: session.deviceId || null,
+        startTime: new Date(now)
+      });
+    } else if (!playTime.currentlyPlaying && session.playing) {
+      const duration = Math.round((now - session.sessionStart) / 1000);
+      session.playing = false;
+      session.sessionStart = null;
+      this.activeSessions.set(psnAccount.accountId, session);
+
+      this.emit('sessionEnded', {
+        childId: psnAccount.childId,
+        deviceId: session.deviceId || null,
+        duration,
+        endTime: new Date(now)
+      });
+    }
+  }
+
+  /**
+   * Emit quotaExceeded when quota runs out, and quotaRenewed when it is
+   * available again on a later Allow2 day (bonus time or an extension on the
+   * same day is not a renewal). The limit is the allowance Allow2 reports,
+   * else the one last seen while quota was left.
+   */
+  _trackQuotaState(childId, psnAccount, quotaCheck) {
+    const session = this.activeSessions.get(psnAccount.accountId) || {};
+    const wasAllowed = session.quotaAllowed;
+
+    if (quotaCheck.allowance != null) {
+      session.quotaLimit = quotaCheck.allowance;
+    } else if (quotaCheck.allowed && quotaCheck.remaining != null && !quotaCheck.bonusMinutes) {
+      session.quotaLimit = quotaCheck.playTime + Math.max(0, quotaCheck.remaining);
+    }
+
+    session.quotaAllowed = quotaCheck.allowed;
+    this.activeSessions.set(psnAccount.accountId, session);
+
+    if (wasAllowed !== false && !quotaCheck.allowed) {
+      session.quotaExceededDay = quotaCheck.day;
+      this.emit('quotaExceeded', {
+        childId,
+        timeUsed: quotaCheck.playTime,
+        quotaLimit: session.quotaLimit ?? quotaCheck.playTime
+      });
+    } else if (quotaCheck.allowed && session.quotaExceededDay && session.quotaExceededDay !== quotaCheck.day) {
+      session.quotaExceededDay = null;
+      this.emit('quotaRenewed', {
+        childId,
+        newQuota: quotaCheck.allowance ?? Math.max(0, quotaCheck.remaining || 0),
+        renewalDate: new Date()
+      });
     }
   }
 
@@ -391,15 +1872,60 @@ class PlayStationPlugin extends EventEmitter {
       throw new Error('Plugin configuration is required');
     }
 
-    if (!this.config.npsso) {
-      throw new Error('PSN NPSSO token is required in configuration');
-    }
-
     if (!this.config.accountMapping || !Array.isArray(this.config.accountMapping)) {
       throw new Error('Account mapping is required in configuration');
     }
 
-    console.log('[PlayStation Plugin] Configuration validated');
+    if (this.config.offlineMode && !OFFLINE_MODES.includes(this.config.offlineMode)) {
+      throw new Error(`Offline mode must be one of: ${OFFLINE_MODES.join(', ')}`);
+    }
+
+    for (const mapping of this.config.accountMapping) {
+      for (const budget of mapping.gameBudgets || []) {
+        if (!budget.titleId) {
+          throw new Error(`Game budget for child ${mapping.childId} needs a PSN title ID`);
+        }
+
+        if (budget.dailyMinutes != null && !(Number.isFinite(budget.dailyMinutes) && budget.dailyMinutes >= 0)) {
+          throw new Error(`Game budget for ${budget.title || budget.titleId} must be a non-negative number of minutes`);
+        }
+      }
+    }
+
+    const activityMaps = ['titleActivities', 'categoryActivities', 'genreActivities', 'ageRatingActivities'];
+    for (const option of activityMaps) {
+      for (const [match, activity] of Object.entries(this.config[option] || {})) {
+        if (typeof activity !== 'string' || !activity) {
+          throw new Error(`${option} entry ${match} must name an Allow2 activity`);
+        }
+      }
+    }
+
+    const pool = this.config.householdPool;
+    if (pool) {
+      if (!(Number.isFinite(pool.dailyMinutes) && pool.dailyMinutes >= 0)) {
+        throw new Error('Household pool dailyMinutes must be a non-negative number');
+      }
+
+      for (const childId of pool.children || []) {
+        if (!this.config.accountMapping.some(m => m.childId === childId)) {
+          throw new Error(`Household pool child ${childId} has no PSN account mapping`);
+        }
+      }
+    }
+
+    for (const mapping of this.config.accountMapping) {
+      const timezone = mapping.timezone || this.config.timezone;
+      if (timezone && !isValidTimezone(timezone)) {
+        throw new Error(`Unknown timezone ${timezone} for child ${mapping.childId}`);
+      }
+
+      if (mapping.schedule) {
+        parseSchedule(mapping.schedule);
+      }
+    }
+
+    this.logger.debug('Configuration validated');
   }
 
   /**
@@ -407,38 +1933,367 @@ class PlayStationPlugin extends EventEmitter {
    */
   _getPSNAccountForChild(childId) {
     const mapping = this.config.accountMapping.find(m => m.childId === childId);
-    return mapping ? {
-      accountId: mapping.psnAccountId,
-      childId: mapping.childId
-    } : null;
+    return mapping ? this._toPSNAccount(mapping) : null;
   }
 
   /**
    * Get all PSN accounts from mapping
    */
   _getAllPSNAccounts() {
-    return this.config.accountMapping.map(m => ({
-      accountId: m.psnAccountId,
-      childId: m.childId
-    }));
+    return this.config.accountMapping.map(m => this._toPSNAccount(m));
+  }
+
+  /**
+   * Build a PSN account descriptor from an account mapping entry
+   */
+  _toPSNAccount(mapping) {
+    return {
+      accountId: mapping.psnAccountId,
+      childId: mapping.childId,
+      dailyLimitOverride: mapping.dailyLimitOverride != null ? mapping.dailyLimitOverride : null,
+      gameBudgets: Array.isArray(mapping.gameBudgets) ? mapping.gameBudgets : [],
+      schedule: Array.isArray(mapping.schedule) ? mapping.schedule : [],
+      timezone: mapping.timezone || this.config.timezone || null
+    };
   }
 
   /**
    * Restore active sessions from storage
+   * Sessions for accounts that are no longer mapped are dropped, and the
+   * rest are reconciled against live PSN play time.
    */
   async _restoreSessions() {
-    // Implementation depends on your storage mechanism
-    // This is a placeholder
-    console.log('[PlayStation Plugin] Restoring sessions');
+    this.logger.debug('Restoring sessions');
+
+    const data = await this.sessionStore.load();
+    if (!data || !data.sessions) {
+      return;
+    }
+
+    this.usageAccountant.restore(data.usage);
+    this.warningTracker.restore(data.warnings);
+    this.extensions.restore(data.extensions);
+    this.gameBudgets.restore(data.gameBudgets);
+    this.restrictions.restore(data.restrictions);
+    if (!data.restrictions) {
+      // Saved before ownership was tracked: budget blocks were the plugin's
+      for (const [accountId, titles] of Object.entries(this.gameBudgets.blocked)) {
+        for (const titleId of Object.keys(titles)) {
+          this.restrictions.claim(accountId, titleId, 'gameBudget');
+        }
+      }
+    }
+    this.offlineQuota.restore(data.offlineQuota);
+    this.timeBank.restore(data.timeBank);
+    this.householdPool.restore(data.householdPool);
+    this.devices.restore(data.devices);
+    this.decisions.restore(data.decisions);
+    this.usageBuffer.restore(data.usageBuffer);
+    this.childStates = new Map(Object.entries(data.childStates || {}));
+    this.parentDisabled = new Set(data.parentDisabled || []);
+
+    if (!this.credentials.npssoIssuedAt) {
+      this.credentialMonitor.restore(data.credentials);
+    }
+
+    const mappedAccounts = this._getAllPSNAccounts();
+
+    for (const psnAccount of mappedAccounts) {
+      const session = data.sessions[psnAccount.accountId];
+      if (!session) {
+        continue;
+      }
+
+      this.activeSessions.set(psnAccount.accountId, session);
+      await this._reconcileSession(psnAccount, session);
+    }
+
+    this.logger.info('Restored sessions', { sessions: this.activeSessions.size });
+  }
+
+  /**
+   * Reconcile a restored session with the account's live PSN play time
+   */
+  async _reconcileSession(psnAccount, session) {
+    try {
+      const playTime = await this.psn.getPlayTime(psnAccount.accountId);
+
+      // Session ended while the plugin was not running
+      if (session.playing && !playTime.currentlyPlaying) {
+        session.playing = false;
+        session.sessionStart = null;
+      }
+
+      if (playTime.currentGame) {
+        session.currentGame = playTime.currentGame;
+        session.currentGameId = playTime.currentGameId;
+      }
+
+      session.reconciledAt = Date.now();
+
+    } catch (error) {
+      this.logger.error('Could not reconcile session', { accountId: psnAccount.accountId, error });
+    }
   }
 
   /**
    * Save active sessions to storage
    */
   async _saveSessions() {
-    // Implementation depends on your storage mechanism
-    // This is a placeholder
-    console.log('[PlayStation Plugin] Saving sessions');
+    if (!this.sessionStore) {
+      return;
+    }
+
+    try {
+      await this.sessionStore.save({
+        version: 1,
+        savedAt: Date.now(),
+        sessions: Object.fromEntries(this.activeSessions),
+        childStates: Object.fromEntries(this.childStates),
+        parentDisabled: [...this.parentDisabled],
+        usage: this.usageAccountant.toJSON(),
+        warnings: this.warningTracker.toJSON(),
+        extensions: this.extensions.toJSON(),
+        gameBudgets: this.gameBudgets.toJSON(),
+        restrictions: this.restrictions.toJSON(),
+        offlineQuota: this.offlineQuota.toJSON(),
+        timeBank: this.timeBank.toJSON(),
+        householdPool: this.householdPool.toJSON(),
+        devices: this.devices.toJSON(),
+        decisions: this.decisions.toJSON(),
+        usageBuffer: this.usageBuffer.toJSON(),
+        credentials: this.credentialMonitor.toJSON()
+      });
+    } catch (error) {
+      this.logger.error('Could not save sessions', { error });
+    }
+  }
+
+  /**
+   * Allow2 activity for the title being played
+   * A session that ended between polls keeps the last-seen title's activity
+   */
+  _activityFor(psnAccount, playTime) {
+    if (playTime.currentGame || playTime.currentGameId) {
+      return this.titleClassifier.classify({
+        titleId: playTime.currentGameId,
+        name: playTime.currentGame,
+        category: playTime.currentGameCategory,
+        genre: playTime.currentGameGenre,
+        ageRating: playTime.currentGameAgeRating
+      });
+    }
+
+    const session = this.activeSessions.get(psnAccount.accountId);
+    return (session && session.currentActivity) || this.titleClassifier.defaultActivity;
+  }
+
+  /**
+   * Record observed play minutes against the game being played, for the
+   * play history and per-game budgets
+   * A session that ended between polls is attributed to the last-seen game
+   */
+  _recordPlay(psnAccount, playTime, minutes) {
+    const session = this.activeSessions.get(psnAccount.accountId) || {};
+    const game = playTime.currentGame || session.currentGame || null;
+    const gameId = playTime.currentGame ? playTime.currentGameId : session.currentGameId;
+
+    this.playHistory.record(psnAccount.childId, { accountId: psnAccount.accountId, game, minutes });
+    this.historyDirty = true;
+
+    this.gameBudgets.record(psnAccount.accountId, { game, gameId: gameId || null, minutes });
+  }
+
+  /**
+   * Suspend every child sharing the household pool once it is used up, and
+   * re-process them when the pool refills at the daily reset
+   */
+  async _enforceHouseholdPool() {
+    if (!this.householdPool.enabled) {
+      return;
+    }
+
+    const pooled = this._getAllPSNAccounts().filter(psnAccount => this.householdPool.includes(psnAccount.childId));
+
+    if (this.householdPool.renewed()) {
+      this.householdPool.clearEnforced();
+      this.logger.info('Household pool renewed');
+      this.emit('householdPoolRenewed', this.householdPool.report());
+
+      for (const psnAccount of pooled) {
+        await this._reevaluateChild(psnAccount.childId);
+      }
+    }
+
+    if (this.householdPool.exhausted() && this.householdPool.enforcedDay === null) {
+      this.householdPool.markEnforced();
+      const report = this.householdPool.report();
+      this.logger.info('Household pool exhausted', { usedMinutes: report.usedMinutes, dailyMinutes: report.dailyMinutes });
+      this.emit('householdPoolExhausted', report);
+
+      for (const psnAccount of pooled) {
+        await this._reevaluateChild(psnAccount.childId);
+      }
+    }
+  }
+
+  /**
+   * Enforcement decisions, newest first (`{ childId, since, limit }`)
+   */
+  getDecisionLog(options = {}) {
+    return this.decisions.list(options);
+  }
+
+  /**
+   * Today's household pool usage with each child's share, or null when
+   * no pool is configured
+   */
+  getHouseholdPoolReport() {
+    return this.householdPool.enabled ? this.householdPool.report() : null;
+  }
+
+  /**
+   * Block titles whose daily budget has run out
+   * Titles already restricted on PSN are not blocked again; the plugin only
+   * takes ownership of those it already holds, so a parent's own block is
+   * left alone at the daily reset. A failed block is retried on the next poll.
+   */
+  async _enforceGameBudgets(psnAccount) {
+    const exhausted = this.gameBudgets.exhausted(psnAccount.accountId, psnAccount.gameBudgets);
+    if (exhausted.length === 0) {
+      return;
+    }
+
+    let restricted;
+    try {
+      restricted = await this._restrictedTitles(psnAccount);
+    } catch (error) {
+      this.logger.error('Could not read restricted content for game budgets', { accountId: psnAccount.accountId, error });
+      return;
+    }
+
+    for (const budget of exhausted) {
+      // Dry run never marks the title blocked; report the intent once a day
+      if (this.dryRun && this.gameBudgets.isReported(psnAccount.accountId, budget.titleId)) {
+        continue;
+      }
+
+      try {
+        this._decide(psnAccount, 'blockGame', `Daily budget for ${budget.title || budget.titleId} used up`, {
+          titleId: budget.titleId,
+          dailyMinutes: budget.dailyMinutes,
+          usedMinutes: this.gameBudgets.usedMinutes(psnAccount.accountId, budget)
+        });
+
+        if (!restricted.has(budget.titleId)) {
+          await this._setRestriction(psnAccount, budget.titleId, true);
+          if (!this.dryRun) {
+            this.restrictions.claim(psnAccount.accountId, budget.titleId, 'gameBudget');
+          }
+        } else if (!this.dryRun && this.restrictions.ownersOf(psnAccount.accountId, budget.titleId).length > 0) {
+          this.restrictions.claim(psnAccount.accountId, budget.titleId, 'gameBudget');
+        }
+        if (this.dryRun) {
+          this.gameBudgets.markReported(psnAccount.accountId, budget.titleId);
+        } else {
+          this.gameBudgets.markBlocked(psnAccount.accountId, budget.titleId);
+        }
+
+        this.logger.info(this.dryRun ? 'Game budget used up, would block title' : 'Game budget used up, title blocked', {
+          childId: psnAccount.childId,
+          accountId: psnAccount.accountId,
+          titleId: budget.titleId
+        });
+
+        this.emit('gameBudgetExhausted', {
+          childId: psnAccount.childId,
+          accountId: psnAccount.accountId,
+          title: budget.title || null,
+          titleId: budget.titleId,
+          dailyMinutes: budget.dailyMinutes,
+          usedMinutes: this.gameBudgets.usedMinutes(psnAccount.accountId, budget)
+        });
+
+      } catch (error) {
+        this.logger.error('Could not block game for exhausted budget', {
+          accountId: psnAccount.accountId,
+          titleId: budget.titleId,
+          error
+        });
+      }
+    }
+  }
+
+  /**
+   * Unblock titles blocked for a budget on an earlier day
+   * Titles still wanted blocked by Allow2, or blocked by the parent, stay
+   * blocked. Titles already removed from the restriction list count as
+   * unblocked.
+   */
+  async _unblockExpiredGameBudgets() {
+    for (const { accountId, titleId } of this.gameBudgets.expiredBlocks()) {
+      const psnAccount = this._getAllPSNAccounts().find(a => a.accountId === accountId) || { accountId, childId: null };
+      const owners = this.restrictions.ownersOf(accountId, titleId);
+
+      if (owners.length === 1 && owners[0] === 'gameBudget') {
+        try {
+          this._decide(psnAccount, 'unblockGame', 'Daily game budget reset', { titleId });
+          await this._setRestriction(psnAccount, titleId, false);
+        } catch (error) {
+          this.logger.error('Could not unblock game after budget reset', { accountId, titleId, error });
+          continue;
+        }
+      } else {
+        this._decide(psnAccount, 'keepBlocked', 'Daily game budget reset, title stays blocked', {
+          titleId,
+          owners: owners.filter(owner => owner !== 'gameBudget')
+        });
+      }
+
+      if (!this.dryRun) {
+        this.restrictions.release(accountId, titleId, 'gameBudget');
+        this.gameBudgets.markUnblocked(accountId, titleId);
+      }
+      this.emit('gameBudgetRenewed', { childId: psnAccount.childId, accountId, titleId });
+    }
+  }
+
+  async _restoreHistory() {
+    try {
+      this.playHistory.restore(await this.historyStore.load());
+    } catch (error) {
+      this.logger.error('Could not restore play history', { error });
+    }
+  }
+
+  /**
+   * Save play history when it changed
+   */
+  async _saveHistory() {
+    if (!this.historyStore || !this.historyDirty) {
+      return;
+    }
+
+    try {
+      await this.historyStore.save({ version: 1, savedAt: Date.now(), ...this.playHistory.toJSON() });
+      this.historyDirty = false;
+    } catch (error) {
+      this.logger.error('Could not save play history', { error });
+    }
+  }
+
+  /**
+   * Play report for a child over the day, week or month containing `date`
+   */
+  getPlayReport(childId, options = {}) {
+    return this.playHistory.report(childId, options);
+  }
+
+  /**
+   * Export play history as CSV or JSON, optionally for one child or range
+   */
+  exportPlayHistory(options = {}) {
+    return this.playHistory.export(options);
   }
 
   /**
@@ -447,12 +2302,32 @@ class PlayStationPlugin extends EventEmitter {
   getStatus() {
     return {
       initialized: this.isInitialized,
+      dryRun: this.dryRun,
       lastError: this.lastError ? this.lastError.message : null,
       activeSessions: Array.from(this.activeSessions.keys()),
-      monitoring: !!this.pollingInterval
+      monitoring: !!this.pollingInterval,
+      allow2Offline: this.allow2Offline,
+      bufferedUsage: this.usageBuffer.size,
+      credentials: this.credentialMonitor.status(),
+      schedules: this.isInitialized ? this._scheduleStatus() : {},
+      householdPool: this.getHouseholdPoolReport(),
+      devices: this.devices.list()
     };
   }
 
+  /**
+   * Active schedule rule per child that has a schedule
+   */
+  _scheduleStatus() {
+    return Object.fromEntries(this._getAllPSNAccounts()
+      .filter(psnAccount => psnAccount.schedule.length > 0 || this.devices.disabledFor(psnAccount.childId).length > 0)
+      .map(psnAccount => [psnAccount.childId, {
+        ...this._evaluateSchedule(psnAccount),
+        timezone: psnAccount.timezone,
+        device: this._currentDevice(psnAccount)
+      }]));
+  }
+
   /**
    * List child accounts from PSN
    */
@@ -476,5 +2351,6 @@ class PlayStationPlugin extends EventEmitter {
   }
 }
 
-// Export plugin instance
+// Export plugin class (for hosts that manage their own instances) and instance
+export { PlayStationPlugin };
 export default new PlayStationPlugin();
@@ -0,0 +1,147 @@
+/**
+ * Plugin Action Definitions
+ *
+ * Parameter schemas for the actions declared in the plugin manifest
+ * (package.json `allow2automate.api.actions`) and the validation used
+ * by the plugin's action dispatcher.
+ */
+
+import { REPORT_PERIODS, EXPORT_FORMATS } from './play-history.js';
+
+export const ACTION_DEFINITIONS = {
+  checkQuota: {
+    params: {
+      childId: { type: 'string', required: true },
+      activityId: { type: 'string', required: false }
+    }
+  },
+  enableAccess: {
+    params: {
+      childId: { type: 'string', required: true },
+      deviceId: { type: 'string', required: false }
+    }
+  },
+  disableAccess: {
+    params: {
+      childId: { type: 'string', required: true },
+      deviceId: { type: 'string', required: false }
+    }
+  },
+  reportUsage: {
+    params: {
+      childId: { type: 'string', required: true },
+      activityId: { type: 'string', required: false },
+      duration: { type: 'number', required: true },
+      metadata: { type: 'object', required: false }
+    }
+  },
+  requestExtension: {
+    params: {
+      childId: { type: 'string', required: true },
+      minutes: { type: 'number', required: true },
+      reason: { type: 'string', required: false }
+    }
+  },
+  approveExtension: {
+    params: {
+      requestId: { type: 'string', required: true }
+    }
+  },
+  denyExtension: {
+    params: {
+      requestId: { type: 'string', required: true }
+    }
+  },
+  getPlayReport: {
+    params: {
+      childId: { type: 'string', required: true },
+      period: { type: 'string', required: false, values: REPORT_PERIODS },
+      date: { type: 'string', required: false }
+    }
+  },
+  exportPlayHistory: {
+    params: {
+      childId: { type: 'string', required: false },
+      format: { type: 'string', required: false, values: EXPORT_FORMATS },
+      from: { type: 'string', required: false },
+      to: { type: 'string', required: false }
+    }
+  },
+  grantBonusTime: {
+    params: {
+      childId: { type: 'string', required: true },
+      minutes: { type: 'number', required: true },
+      reason: { type: 'string', required: false },
+      expiresAt: { type: 'string', required: false }
+    }
+  },
+  listBonusTime: {
+    params: {
+      childId: { type: 'string', required: true }
+    }
+  },
+  revokeBonusTime: {
+    params: {
+      grantId: { type: 'string', required: true }
+    }
+  },
+  nameDevice: {
+    params: {
+      deviceId: { type: 'string', required: true },
+      name: { type: 'string', required: false }
+    }
+  },
+  listDevices: {
+    params: {}
+  },
+  getDecisionLog: {
+    params: {
+      childId: { type: 'string', required: false },
+      limit: { type: 'number', required: false }
+    }
+  }
+};
+
+/**
+ * Validate action parameters against the action's schema
+ * Returns a list of error messages (empty when valid)
+ */
+export function validateActionParams(actionId, params) {
+  const definition = ACTION_DEFINITIONS[actionId];
+  if (!definition) {
+    return [`Unknown action: ${actionId}`];
+  }
+
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    return ['Parameters must be an object'];
+  }
+
+  const errors = [];
+
+  for (const [name, schema] of Object.entries(definition.params)) {
+    const value = params[name];
+
+    if (value === undefined || value === null || value === '') {
+      if (schema.required) {
+        errors.push(`${name} is required`);
+      }
+      continue;
+    }
+
+    if (schema.type === 'object') {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${name} must be an object`);
+      }
+    } else if (schema.type === 'number') {
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        errors.push(`${name} must be a non-negative number`);
+      }
+    } else if (typeof value !== schema.type) {
+      errors.push(`${name} must be a ${schema.type}`);
+    } else if (schema.values && !schema.values.includes(value)) {
+      errors.push(`${name} must be one of: ${schema.values.join(', ')}`);
+    }
+  }
+
+  return errors;
+}
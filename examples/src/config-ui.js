@@ -3,18 +3,74 @@
  *
  * React component for configuring PlayStation Network credentials
  * and mapping PSN accounts to Allow2 children.
+ *
+ * The NPSSO is sealed by `sealCredentials` (by default the plugin's /seal
+ * endpoint) and saved as `encryptedCredentials`. Hosts without an
+ * encryption key (no /seal route, or a null envelope) get the plain NPSSO,
+ * as before sealing existed.
  */
 
 import React, { useState, useEffect } from 'react';
 
-export default function PlayStationConfig({ config, onSave, allow2Children }) {
+/**
+ * Encrypt credentials with the plugin's host-supplied key
+ * Resolves to null when the host cannot seal credentials
+ */
+async function sealWithPlugin(credentials) {
+  const response = await fetch('/api/plugins/playstation/seal', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(credentials)
+  });
+
+  if (response.status === 404) {
+    return null;
+  }
+
+  const result = await response.json();
+  if (!result.success) {
+    throw new Error(result.error || 'Could not encrypt credentials');
+  }
+  return result.encryptedCredentials;
+}
+
+export default function PlayStationConfig({ config, onSave, allow2Children, sealCredentials = sealWithPlugin }) {
+  // Only a legacy plain-text config pre-fills the token; it is sealed on save
   const [npsso, setNpsso] = useState(config?.npsso || '');
+  const hasSavedCredentials = !!config?.encryptedCredentials;
   const [region, setRegion] = useState(config?.region || 'en-us');
   const [accountMapping, setAccountMapping] = useState(config?.accountMapping || []);
+  const [warningThresholds, setWarningThresholds] = useState(
+    (config?.warningThresholds || [15, 5, 1]).join(', ')
+  );
+  const [psnWarningMessages, setPsnWarningMessages] = useState(config?.psnWarningMessages || false);
+  const [gracePeriodMinutes, setGracePeriodMinutes] = useState(config?.gracePeriodMinutes ?? 0);
+  const [maxExtensionMinutes, setMaxExtensionMinutes] = useState(config?.maxExtensionMinutes ?? 30);
+  const [maxExtensionsPerDay, setMaxExtensionsPerDay] = useState(config?.maxExtensionsPerDay ?? 1);
+  const [offlineMode, setOfflineMode] = useState(config?.offlineMode || 'fail-open');
   const [psnAccounts, setPsnAccounts] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [testResult, setTestResult] = useState(null);
+  const [credentialStatus, setCredentialStatus] = useState(null);
+  const [relinkNpsso, setRelinkNpsso] = useState('');
+  const [relinkResult, setRelinkResult] = useState(null);
+
+  /**
+   * Load NPSSO expiry status from the running plugin
+   */
+  useEffect(() => {
+    fetch('/api/plugins/playstation/status')
+      .then(response => response.json())
+      .then(status => setCredentialStatus(status.credentials || null))
+      .catch(() => setCredentialStatus(null));
+  }, []);
+
+  const npssoWarningDays = config?.npssoWarningDays || 7;
+  const credentialsExpired = credentialStatus?.expired;
+  const credentialsExpiring = !credentialsExpired &&
+    credentialStatus?.daysRemaining != null &&
+    credentialStatus.daysRemaining <= npssoWarningDays;
 
   /**
    * Test PSN connection
@@ -47,6 +103,36 @@ export default function PlayStationConfig({ config, onSave, allow2Children }) {
     }
   };
 
+  /**
+   * Re-link PSN with a new NPSSO token (applied without restarting the plugin)
+   */
+  const relink = async () => {
+    setIsLoading(true);
+    setRelinkResult(null);
+
+    try {
+      const response = await fetch('/api/plugins/playstation/relink', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ npsso: relinkNpsso })
+      });
+
+      const result = await response.json();
+
+      if (result.success) {
+        setCredentialStatus(result.credentials);
+        setRelinkNpsso('');
+        setRelinkResult({ success: true, message: 'PlayStation Network re-linked.' });
+      } else {
+        setRelinkResult({ success: false, message: result.error || 'Re-link failed' });
+      }
+    } catch (err) {
+      setRelinkResult({ success: false, message: `Re-link error: ${err.message}` });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   /**
    * Add account mapping
    */
@@ -66,6 +152,35 @@ export default function PlayStationConfig({ config, onSave, allow2Children }) {
     setAccountMapping(updated);
   };
 
+  /**
+   * Add, update and remove per-game daily budgets on a mapping
+   */
+  const addBudget = (index) => {
+    const updated = [...accountMapping];
+    updated[index] = {
+      ...updated[index],
+      gameBudgets: [...(updated[index].gameBudgets || []), { title: '', titleId: '', dailyMinutes: '' }]
+    };
+    setAccountMapping(updated);
+  };
+
+  const updateBudget = (index, budgetIndex, field, value) => {
+    const updated = [...accountMapping];
+    const budgets = [...updated[index].gameBudgets];
+    budgets[budgetIndex] = { ...budgets[budgetIndex], [field]: value };
+    updated[index] = { ...updated[index], gameBudgets: budgets };
+    setAccountMapping(updated);
+  };
+
+  const removeBudget = (index, budgetIndex) => {
+    const updated = [...accountMapping];
+    updated[index] = {
+      ...updated[index],
+      gameBudgets: updated[index].gameBudgets.filter((_, i) => i !== budgetIndex)
+    };
+    setAccountMapping(updated);
+  };
+
   /**
    * Remove account mapping
    */
@@ -76,9 +191,9 @@ export default function PlayStationConfig({ config, onSave, allow2Children }) {
   /**
    * Save configuration
    */
-  const handleSave = () => {
+  const handleSave = async () => {
     // Validate
-    if (!npsso) {
+    if (!npsso && !hasSavedCredentials) {
       setError('NPSSO token is required');
       return;
     }
@@ -95,11 +210,94 @@ export default function PlayStationConfig({ config, onSave, allow2Children }) {
       return;
     }
 
-    // Save
+    // Normalise optional per-child daily limit overrides and per-game
+    // budgets (minutes; blank means no override / unlimited)
+    const mappings = accountMapping.map(m => ({
+      ...m,
+      dailyLimitOverride: m.dailyLimitOverride === '' || m.dailyLimitOverride == null
+        ? null
+        : Number(m.dailyLimitOverride),
+      gameBudgets: (m.gameBudgets || []).map(b => ({
+        title: (b.title || '').trim(),
+        titleId: (b.titleId || '').trim(),
+        dailyMinutes: b.dailyMinutes === '' || b.dailyMinutes == null ? null : Number(b.dailyMinutes)
+      }))
+    }));
+
+    const invalidOverride = mappings.some(m =>
+      m.dailyLimitOverride !== null && (!Number.isInteger(m.dailyLimitOverride) || m.dailyLimitOverride < 0)
+    );
+    if (invalidOverride) {
+      setError('Daily limit overrides must be whole numbers of minutes');
+      return;
+    }
+
+    const invalidBudget = mappings.some(m => m.gameBudgets.some(b =>
+      !b.titleId || (b.dailyMinutes !== null && (!Number.isInteger(b.dailyMinutes) || b.dailyMinutes < 0))
+    ));
+    if (invalidBudget) {
+      setError('Game budgets need a PSN title ID and a whole number of minutes (blank for unlimited)');
+      return;
+    }
+
+    // Parse warning thresholds (minutes remaining)
+    const thresholds = warningThresholds
+      .split(',')
+      .map(t => t.trim())
+      .filter(t => t !== '')
+      .map(Number);
+
+    if (thresholds.some(t => !Number.isInteger(t) || t <= 0)) {
+      setError('Warning thresholds must be positive whole numbers of minutes');
+      return;
+    }
+
+    // Grace period and extension limits (minutes / count)
+    const extensionSettings = {
+      gracePeriodMinutes: Number(gracePeriodMinutes),
+      maxExtensionMinutes: Number(maxExtensionMinutes),
+      maxExtensionsPerDay: Number(maxExtensionsPerDay)
+    };
+
+    if (Object.values(extensionSettings).some(v => !Number.isInteger(v) || v < 0)) {
+      setError('Grace period and extension limits must be whole numbers');
+      return;
+    }
+
+    // Seal a newly entered (or legacy plain-text) NPSSO, or keep it plain when
+    // the host cannot seal; otherwise keep the saved one
+    let credentials = {
+      encryptedCredentials: config?.encryptedCredentials,
+      npssoIssuedAt: config?.npssoIssuedAt || Date.now()
+    };
+
+    if (npsso) {
+      const npssoIssuedAt = npsso !== config?.npsso ? Date.now() : credentials.npssoIssuedAt;
+
+      try {
+        const encryptedCredentials = await sealCredentials({ npsso, npssoIssuedAt });
+        credentials = encryptedCredentials
+          ? { encryptedCredentials, npssoIssuedAt }
+          : { npsso, npssoIssuedAt };
+      } catch (err) {
+        setError(`Could not encrypt NPSSO token: ${err.message}`);
+        return;
+      }
+    }
+
+    // Save over the loaded config so settings this form does not edit
+    // (dryRun, householdPool, activity maps, devices, ...) are kept; the
+    // credentials are always the ones worked out above
+    const { npsso: _npsso, encryptedCredentials: _encryptedCredentials, ...savedConfig } = config || {};
     onSave({
-      npsso,
+      ...savedConfig,
+      ...credentials,
       region,
-      accountMapping
+      accountMapping: mappings,
+      warningThresholds: thresholds,
+      psnWarningMessages,
+      ...extensionSettings,
+      offlineMode
     });
   };
 
@@ -107,6 +305,41 @@ export default function PlayStationConfig({ config, onSave, allow2Children }) {
     <div className="playstation-config">
       <h2>PlayStation Network Configuration</h2>
 
+      {/* NPSSO Expiry Banner & Re-link */}
+      {(credentialsExpired || credentialsExpiring) && (
+        <div className={`alert ${credentialsExpired ? 'alert-danger' : 'alert-warning'} relink-banner`}>
+          <strong>
+            {credentialsExpired
+              ? 'Your PlayStation Network sign-in has expired. Time limits are not being enforced.'
+              : `Your PlayStation Network sign-in expires in about ${credentialStatus.daysRemaining} day(s).`}
+          </strong>
+          <p>Paste a new NPSSO token to re-link without restarting.</p>
+
+          <div className="relink-form">
+            <input
+              type="password"
+              value={relinkNpsso}
+              onChange={(e) => setRelinkNpsso(e.target.value)}
+              placeholder="New NPSSO token"
+              className="form-control"
+            />
+            <button
+              onClick={relink}
+              disabled={isLoading || !relinkNpsso}
+              className="btn btn-primary"
+            >
+              Re-link
+            </button>
+          </div>
+
+          {relinkResult && (
+            <div className={`alert ${relinkResult.success ? 'alert-success' : 'alert-danger'}`}>
+              {relinkResult.message}
+            </div>
+          )}
+        </div>
+      )}
+
       {/* NPSSO Token */}
       <div className="config-section">
         <h3>Authentication</h3>
@@ -120,7 +353,7 @@ export default function PlayStationConfig({ config, onSave, allow2Children }) {
             type="password"
             value={npsso}
             onChange={(e) => setNpsso(e.target.value)}
-            placeholder="Enter your NPSSO token"
+            placeholder={hasSavedCredentials ? 'Saved (encrypted) - enter a new token to replace it' : 'Enter your NPSSO token'}
             className="form-control"
           />
           <small className="form-text">
@@ -212,6 +445,64 @@ export default function PlayStationConfig({ config, onSave, allow2Children }) {
               </select>
             </div>
 
+            <div className="form-group">
+              <label title="Restored when play resumes. Leave blank to restore the limit set on the console.">
+                Daily Limit Override (min)
+              </label>
+              <input
+                type="number"
+                min="0"
+                value={mapping.dailyLimitOverride ?? ''}
+                onChange={(e) => updateMapping(index, 'dailyLimitOverride', e.target.value)}
+                placeholder="Console setting"
+                className="form-control"
+              />
+            </div>
+
+            <div className="game-budgets">
+              <label title="Daily minutes per game. The game is blocked when its budget runs out and unblocked the next day.">
+                Game Budgets
+              </label>
+              {(mapping.gameBudgets || []).map((budget, budgetIndex) => (
+                <div key={budgetIndex} className="budget-row">
+                  <input
+                    type="text"
+                    value={budget.title}
+                    onChange={(e) => updateBudget(index, budgetIndex, 'title', e.target.value)}
+                    placeholder="Game (e.g. Fortnite)"
+                    className="form-control"
+                  />
+                  <input
+                    type="text"
+                    value={budget.titleId}
+                    onChange={(e) => updateBudget(index, budgetIndex, 'titleId', e.target.value)}
+                    placeholder="PSN title ID (e.g. CUSA07669)"
+                    className="form-control"
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    value={budget.dailyMinutes ?? ''}
+                    onChange={(e) => updateBudget(index, budgetIndex, 'dailyMinutes', e.target.value)}
+                    placeholder="Unlimited"
+                    className="form-control"
+                  />
+                  <button
+                    onClick={() => removeBudget(index, budgetIndex)}
+                    className="btn btn-link btn-sm"
+                  >
+                    Remove
+                  </button>
+                </div>
+              ))}
+              <button
+                onClick={() => addBudget(index)}
+                className="btn btn-secondary btn-sm"
+              >
+                Add Game Budget
+              </button>
+            </div>
+
             <button
               onClick={() => removeMapping(index)}
               className="btn btn-danger btn-sm"
@@ -236,6 +527,103 @@ export default function PlayStationConfig({ config, onSave, allow2Children }) {
         )}
       </div>
 
+      {/* Warnings */}
+      <div className="config-section">
+        <h3>Time Warnings</h3>
+        <p className="help-text">
+          Warn children before their play time runs out.
+        </p>
+
+        <div className="form-group">
+          <label htmlFor="warningThresholds">Warn at (minutes remaining)</label>
+          <input
+            id="warningThresholds"
+            type="text"
+            value={warningThresholds}
+            onChange={(e) => setWarningThresholds(e.target.value)}
+            placeholder="15, 5, 1"
+            className="form-control"
+          />
+        </div>
+
+        <div className="form-group">
+          <label>
+            <input
+              type="checkbox"
+              checked={psnWarningMessages}
+              onChange={(e) => setPsnWarningMessages(e.target.checked)}
+            />
+            {' '}Also send warnings as PlayStation messages
+          </label>
+        </div>
+      </div>
+
+      {/* Grace Period & Extensions */}
+      <div className="config-section">
+        <h3>Grace Period &amp; Extensions</h3>
+        <p className="help-text">
+          Let a match in progress finish before play is suspended.
+        </p>
+
+        <div className="form-group">
+          <label htmlFor="gracePeriodMinutes">Grace period (minutes, 0 to disable)</label>
+          <input
+            id="gracePeriodMinutes"
+            type="number"
+            min="0"
+            value={gracePeriodMinutes}
+            onChange={(e) => setGracePeriodMinutes(e.target.value)}
+            className="form-control"
+          />
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="maxExtensionMinutes">Longest extension a child can request (minutes)</label>
+          <input
+            id="maxExtensionMinutes"
+            type="number"
+            min="1"
+            value={maxExtensionMinutes}
+            onChange={(e) => setMaxExtensionMinutes(e.target.value)}
+            className="form-control"
+          />
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="maxExtensionsPerDay">Extensions allowed per day</label>
+          <input
+            id="maxExtensionsPerDay"
+            type="number"
+            min="0"
+            value={maxExtensionsPerDay}
+            onChange={(e) => setMaxExtensionsPerDay(e.target.value)}
+            className="form-control"
+          />
+        </div>
+      </div>
+
+      {/* Offline Enforcement */}
+      <div className="config-section">
+        <h3>When Allow2 Is Unreachable</h3>
+        <p className="help-text">
+          The plugin keeps enforcing today's last known quota and sends buffered
+          play time to Allow2 once it is reachable again. If no quota is known yet:
+        </p>
+
+        <div className="form-group">
+          <label htmlFor="offlineMode">Offline mode</label>
+          <select
+            id="offlineMode"
+            value={offlineMode}
+            onChange={(e) => setOfflineMode(e.target.value)}
+            className="form-control"
+          >
+            <option value="fail-open">Allow play (fail open)</option>
+            <option value="fail-closed">Block play (fail closed)</option>
+          </select>
+        </div>
+      </div>
+
       {/* Save Button */}
       <div className="config-actions">
         <button
@@ -301,6 +689,16 @@ export default function PlayStationConfig({ config, onSave, allow2Children }) {
           margin-bottom: 0;
         }
 
+        .mapping-row .game-budgets {
+          flex: 2;
+        }
+
+        .budget-row {
+          display: flex;
+          gap: 6px;
+          margin-bottom: 6px;
+        }
+
         .btn {
           padding: 8px 16px;
           border: none;
@@ -352,6 +750,21 @@ export default function PlayStationConfig({ config, onSave, allow2Children }) {
           border: 1px solid #f5c6cb;
         }
 
+        .alert-warning {
+          background: #fff3cd;
+          color: #856404;
+          border: 1px solid #ffeeba;
+        }
+
+        .relink-banner {
+          margin-bottom: 20px;
+        }
+
+        .relink-form {
+          display: flex;
+          gap: 10px;
+        }
+
         .help-icon {
           display: inline-block;
           margin-left: 5px;
@@ -0,0 +1,84 @@
+/**
+ * Credential Monitor
+ *
+ * Tracks the age of the NPSSO token. PSN does not report when an NPSSO
+ * expires, so expiry is estimated from when the parent supplied it
+ * (roughly two months), and a warning is raised once per day inside the
+ * warning window.
+ */
+
+import { dayKey } from './time-utils.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+export class CredentialMonitor {
+  constructor(options = {}) {
+    this.now = options.now || (() => Date.now());
+    this.lifetimeDays = options.lifetimeDays || 60;
+    this.warningDays = options.warningDays || 7;
+
+    this.issuedAt = null;
+    this.expired = false;
+    this.lastWarnedDay = null;
+  }
+
+  /**
+   * Start tracking a newly supplied NPSSO
+   */
+  reset(issuedAt = this.now()) {
+    this.issuedAt = issuedAt;
+    this.expired = false;
+    this.lastWarnedDay = null;
+  }
+
+  /**
+   * Current credential status
+   */
+  status() {
+    const expiresAt = this.issuedAt ? this.issuedAt + this.lifetimeDays * MS_PER_DAY : null;
+
+    return {
+      expired: this.expired,
+      issuedAt: this.issuedAt,
+      expiresAt,
+      daysRemaining: expiresAt ? Math.max(0, Math.ceil((expiresAt - this.now()) / MS_PER_DAY)) : null
+    };
+  }
+
+  /**
+   * Whether a credentialsExpiring warning is due (at most once per day)
+   */
+  shouldWarn() {
+    const { expired, daysRemaining } = this.status();
+    if (expired || daysRemaining === null || daysRemaining > this.warningDays) {
+      return false;
+    }
+
+    const today = dayKey(this.now());
+    if (this.lastWarnedDay === today) {
+      return false;
+    }
+
+    this.lastWarnedDay = today;
+    return true;
+  }
+
+  /**
+   * Serialisable state for the session store
+   */
+  toJSON() {
+    return { issuedAt: this.issuedAt, expired: this.expired, lastWarnedDay: this.lastWarnedDay };
+  }
+
+  /**
+   * Restore state saved by `toJSON()`
+   */
+  restore(state) {
+    if (!state) {
+      return;
+    }
+
+    this.issuedAt = state.issuedAt || this.issuedAt;
+    this.lastWarnedDay = state.lastWarnedDay || null;
+  }
+}
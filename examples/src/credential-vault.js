@@ -0,0 +1,106 @@
+/**
+ * Credential Vault
+ *
+ * Encrypts PSN credentials (NPSSO, refresh token and their expiry) for
+ * storage at rest using AES-256-GCM. The key is supplied by the host, either
+ * directly (32 bytes as a Buffer, hex or base64) or as a passphrase that is
+ * stretched with scrypt using a random salt kept alongside the ciphertext.
+ *
+ * Sealed credentials are plain JSON envelopes, so they can be written by any
+ * session store backend or kept in the host's plugin configuration.
+ */
+
+import crypto from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const SALT_BYTES = 16;
+
+export class CredentialVault {
+  constructor(options = {}) {
+    if (options.key) {
+      this.key = normaliseKey(options.key);
+      this.passphrase = null;
+    } else if (options.passphrase) {
+      this.key = null;
+      this.passphrase = String(options.passphrase);
+    } else {
+      throw new Error('Credential vault requires an encryption key or passphrase');
+    }
+  }
+
+  /**
+   * Encrypt a credentials object into a JSON-safe envelope
+   */
+  seal(credentials) {
+    const salt = this.passphrase ? crypto.randomBytes(SALT_BYTES) : null;
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(ALGORITHM, this._key(salt), iv);
+
+    const ciphertext = Buffer.concat([
+      cipher.update(JSON.stringify(credentials), 'utf8'),
+      cipher.final()
+    ]);
+
+    return {
+      version: 1,
+      algorithm: ALGORITHM,
+      salt: salt ? salt.toString('base64') : null,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      ciphertext: ciphertext.toString('base64')
+    };
+  }
+
+  /**
+   * Decrypt an envelope produced by `seal()`
+   * Throws when the key is wrong or the envelope was tampered with
+   */
+  open(envelope) {
+    if (!envelope || envelope.algorithm !== ALGORITHM || !envelope.ciphertext) {
+      throw new Error('Unsupported credential envelope');
+    }
+
+    if (this.passphrase && !envelope.salt) {
+      throw new Error('Credential envelope was not sealed with a passphrase');
+    }
+
+    try {
+      const salt = envelope.salt ? Buffer.from(envelope.salt, 'base64') : null;
+      const decipher = crypto.createDecipheriv(ALGORITHM, this._key(salt), Buffer.from(envelope.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+
+      const plaintext = Buffer.concat([
+        decipher.update(Buffer.from(envelope.ciphertext, 'base64')),
+        decipher.final()
+      ]);
+
+      return JSON.parse(plaintext.toString('utf8'));
+
+    } catch (error) {
+      throw new Error('Could not decrypt credentials: wrong key or corrupted data');
+    }
+  }
+
+  _key(salt) {
+    return this.key || crypto.scryptSync(this.passphrase, salt, KEY_BYTES);
+  }
+}
+
+/**
+ * Accept a 32-byte key as a Buffer, 64 hex characters or base64
+ */
+function normaliseKey(key) {
+  let buffer = key;
+
+  if (typeof key === 'string') {
+    buffer = /^[0-9a-f]{64}$/i.test(key) ? Buffer.from(key, 'hex') : Buffer.from(key, 'base64');
+  }
+
+  if (!Buffer.isBuffer(buffer) || buffer.length !== KEY_BYTES) {
+    throw new Error(`Credential encryption key must be ${KEY_BYTES} bytes`);
+  }
+
+  return buffer;
+}
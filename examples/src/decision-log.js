@@ -0,0 +1,60 @@
+/**
+ * Decision Log
+ *
+ * Explains what the plugin decided for each child and why
+ * (`{ at, childId, accountId, action, reason, details, dryRun }`), so a
+ * parent can audit enforcement, and see what a dry run would have done.
+ * Only the most recent `maxEntries` decisions are kept.
+ */
+
+export class DecisionLog {
+  constructor(options = {}) {
+    this.now = options.now || (() => Date.now());
+    this.maxEntries = options.maxEntries || 500;
+
+    this.entries = [];
+  }
+
+  /**
+   * Record a decision
+   */
+  record({ childId, accountId = null, action, reason, details = {}, dryRun = false }) {
+    const entry = { at: this.now(), childId, accountId, action, reason, details, dryRun };
+
+    this.entries.push(entry);
+    if (this.entries.length > this.maxEntries) {
+      this.entries.splice(0, this.entries.length - this.maxEntries);
+    }
+
+    return { ...entry };
+  }
+
+  /**
+   * Decisions, newest first, optionally for one child, since a timestamp,
+   * limited to the `limit` most recent
+   */
+  list({ childId = null, since = 0, limit = null } = {}) {
+    const entries = this.entries
+      .filter(entry => (!childId || entry.childId === childId) && entry.at >= since)
+      .reverse()
+      .map(entry => ({ ...entry }));
+
+    return limit ? entries.slice(0, limit) : entries;
+  }
+
+  /**
+   * Serialisable state for the session store
+   */
+  toJSON() {
+    return { entries: this.entries.map(entry => ({ ...entry })) };
+  }
+
+  /**
+   * Restore state saved by `toJSON()`
+   */
+  restore(state) {
+    this.entries = state && Array.isArray(state.entries)
+      ? state.entries.slice(-this.maxEntries).map(entry => ({ ...entry }))
+      : [];
+  }
+}
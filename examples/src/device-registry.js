@@ -0,0 +1,112 @@
+/**
+ * Device Registry
+ *
+ * Consoles seen in children's PSN presence (`{ deviceId, platform, name,
+ * accountIds, lastSeenAt }`), the names parents give them ("Bedroom PS4"),
+ * and consoles a parent disabled for a child. Names come from the `devices`
+ * config (`{ deviceId: name }`) and can be changed at runtime.
+ */
+
+export class DeviceRegistry {
+  constructor(options = {}) {
+    this.now = options.now || (() => Date.now());
+
+    // deviceId -> device
+    this.devices = {};
+    // deviceId -> parent-given name
+    this.names = {};
+    // childId -> [deviceId, ...] disabled by a parent
+    this.disabled = {};
+  }
+
+  /**
+   * Add names from configuration without overriding names set at runtime
+   */
+  setNames(names = {}) {
+    this.names = { ...names, ...this.names };
+  }
+
+  /**
+   * Record that an account is on a device
+   */
+  observe(accountId, { deviceId, platform = null }) {
+    const device = this.devices[deviceId] || (this.devices[deviceId] = { deviceId, platform, accountIds: [] });
+
+    device.platform = platform || device.platform;
+    device.lastSeenAt = this.now();
+    if (!device.accountIds.includes(accountId)) {
+      device.accountIds.push(accountId);
+    }
+
+    return this.get(deviceId);
+  }
+
+  /**
+   * Give a device a name (null clears it)
+   */
+  name(deviceId, name) {
+    if (name) {
+      this.names[deviceId] = name;
+    } else {
+      delete this.names[deviceId];
+    }
+
+    return this.get(deviceId);
+  }
+
+  /**
+   * Device with its name; unseen devices only carry their id and name
+   */
+  get(deviceId) {
+    const device = this.devices[deviceId] || { deviceId, platform: null, accountIds: [], lastSeenAt: null };
+    return { ...device, accountIds: [...device.accountIds], name: this.names[deviceId] || null };
+  }
+
+  /**
+   * Every seen or named device
+   */
+  list() {
+    const ids = new Set([...Object.keys(this.devices), ...Object.keys(this.names)]);
+    return [...ids].map(deviceId => this.get(deviceId));
+  }
+
+  disable(childId, deviceId) {
+    const devices = this.disabled[childId] || (this.disabled[childId] = []);
+    if (!devices.includes(deviceId)) {
+      devices.push(deviceId);
+    }
+  }
+
+  enable(childId, deviceId) {
+    if (this.disabled[childId]) {
+      this.disabled[childId] = this.disabled[childId].filter(id => id !== deviceId);
+    }
+  }
+
+  /**
+   * Devices a parent disabled for a child
+   */
+  disabledFor(childId) {
+    return [...(this.disabled[childId] || [])];
+  }
+
+  /**
+   * Serialisable state for the session store
+   */
+  toJSON() {
+    return { devices: this.devices, names: this.names, disabled: this.disabled };
+  }
+
+  /**
+   * Restore state saved by `toJSON()`
+   */
+  restore(state) {
+    if (!state) {
+      return;
+    }
+
+    this.devices = state.devices || {};
+    this.names = { ...this.names, ...state.names };
+    this.disabled = state.disabled || {};
+  }
+}
@@ -0,0 +1,150 @@
+/**
+ * PlayStation Network Errors
+ *
+ * Every PlayStationAPI failure is a PSNError subclass carrying the HTTP
+ * `status`, the PSN error `body` (and its `psnCode`), the `method` and
+ * `endpoint` that failed, and whether the failure is `retryable` later.
+ */
+
+import { parseRetryAfter } from './retry-policy.js';
+
+// Failures without a response that are worth trying again later
+const TRANSIENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE'];
+
+/**
+ * Base class for PSN failures
+ */
+export class PSNError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = 'PSNError';
+    this.status = options.status ?? null;
+    this.body = options.body ?? null;
+    this.psnCode = psnErrorCode(this.body);
+    this.method = options.method || null;
+    this.endpoint = options.endpoint || null;
+    this.retryable = options.retryable ?? false;
+    this.cause = options.cause;
+  }
+}
+
+/**
+ * PSN rejected the access token and re-authentication did not help
+ */
+export class AuthError extends PSNError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'AuthError';
+  }
+}
+
+/**
+ * The NPSSO (and any refresh token) was rejected by PSN
+ * Recovering requires the parent to supply a new NPSSO token
+ */
+export class AuthExpiredError extends AuthError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'AuthExpiredError';
+  }
+}
+
+/**
+ * PSN is throttling requests (429); `retryAfterMs` is set when PSN said when
+ */
+export class RateLimitError extends PSNError {
+  constructor(message, options = {}) {
+    super(message, { ...options, retryable: true });
+    this.name = 'RateLimitError';
+    this.retryAfterMs = options.retryAfterMs ?? null;
+  }
+}
+
+/**
+ * The account or content does not exist on PSN (404)
+ */
+export class NotFoundError extends PSNError {
+  constructor(message, options = {}) {
+    super(message, { ...options, retryable: false });
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * The parent account may not manage this child or setting (403)
+ */
+export class PermissionError extends PSNError {
+  constructor(message, options = {}) {
+    super(message, { ...options, retryable: false });
+    this.name = 'PermissionError';
+  }
+}
+
+/**
+ * PSN refused the request as invalid (400, 409, 422)
+ */
+export class ValidationError extends PSNError {
+  constructor(message, options = {}) {
+    super(message, { ...options, retryable: false });
+    this.name = 'ValidationError';
+  }
+}
+
+/**
+ * Timeouts, dropped connections and 5xx responses
+ */
+export class NetworkError extends PSNError {
+  constructor(message, options = {}) {
+    super(message, { ...options, retryable: true });
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * Classify a transport failure into a PSNError subclass
+ * PSNErrors are re-wrapped with the new message, keeping their class and
+ * details; AuthExpiredError passes through untouched.
+ */
+export function createPSNError(message, error, context = {}) {
+  if (error instanceof AuthExpiredError) {
+    return error;
+  }
+
+  const source = error instanceof PSNError ? error : null;
+  const response = error.response || null;
+  const status = response ? response.status : (source ? source.status : null);
+
+  const options = {
+    status,
+    body: response ? (response.data ?? null) : (source ? source.body : null),
+    method: context.method || (source && source.method),
+    endpoint: context.endpoint || (source && source.endpoint),
+    cause: error
+  };
+
+  if (source) {
+    const Type = source.constructor;
+    return new Type(message, { ...options, retryable: source.retryable, retryAfterMs: source.retryAfterMs });
+  }
+
+  if (status === 401) return new AuthError(message, options);
+  if (status === 403) return new PermissionError(message, options);
+  if (status === 404) return new NotFoundError(message, options);
+  if (status === 429) return new RateLimitError(message, { ...options, retryAfterMs: parseRetryAfter(error) });
+  if (status === 400 || status === 409 || status === 422) return new ValidationError(message, options);
+  if (status === 408 || (status !== null && status >= 500)) return new NetworkError(message, options);
+  if (status === null && TRANSIENT_CODES.includes(error.code)) return new NetworkError(message, options);
+
+  return new PSNError(message, options);
+}
+
+/**
+ * PSN error code from bodies shaped `{ error: { code } }` or `{ error: 'code' }`
+ */
+function psnErrorCode(body) {
+  if (!body || typeof body !== 'object' || !body.error) {
+    return null;
+  }
+
+  return typeof body.error === 'string' ? body.error : body.error.code || null;
+}
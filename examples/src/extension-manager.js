@@ -0,0 +1,176 @@
+/**
+ * Extension Manager
+ *
+ * Tracks one-off "finish the match" extension requests. A child may have at
+ * most one pending or active extension at a time, extensions are capped in
+ * length, and only a limited number can be approved per child per day so
+ * they cannot be chained indefinitely.
+ */
+
+import { dayKey } from './time-utils.js';
+
+const MS_PER_MINUTE = 60000;
+
+export class ExtensionManager {
+  constructor(options = {}) {
+    this.now = options.now || (() => Date.now());
+    this.maxExtensionMinutes = options.maxExtensionMinutes || 30;
+    this.maxExtensionsPerDay = options.maxExtensionsPerDay || 1;
+
+    // Extension requests keyed by id
+    this.requests = {};
+    this.nextId = 1;
+  }
+
+  /**
+   * Create a pending extension request
+   */
+  request(childId, minutes, reason = null) {
+    if (!Number.isInteger(minutes) || minutes <= 0) {
+      throw new Error('Extension minutes must be a positive whole number');
+    }
+
+    if (minutes > this.maxExtensionMinutes) {
+      throw new Error(`Extensions are limited to ${this.maxExtensionMinutes} minutes`);
+    }
+
+    const open = this._forChild(childId).find(r => r.status === 'pending' || this._isActive(r));
+    if (open) {
+      throw new Error(`Child ${childId} already has an ${open.status === 'pending' ? 'open' : 'active'} extension`);
+    }
+
+    if (this.approvedToday(childId) >= this.maxExtensionsPerDay) {
+      throw new Error(`Child ${childId} has used all extensions for today`);
+    }
+
+    const request = {
+      id: `ext-${this.now()}-${this.nextId++}`,
+      childId,
+      minutes,
+      reason,
+      status: 'pending',
+      requestedAt: this.now()
+    };
+
+    this.requests[request.id] = request;
+    return { ...request };
+  }
+
+  /**
+   * Approve a pending request; the extension starts immediately
+   */
+  approve(requestId) {
+    const request = this._getPending(requestId);
+
+    if (this.approvedToday(request.childId) >= this.maxExtensionsPerDay) {
+      throw new Error(`Child ${request.childId} has used all extensions for today`);
+    }
+
+    request.status = 'approved';
+    request.approvedAt = this.now();
+    request.expiresAt = request.approvedAt + request.minutes * MS_PER_MINUTE;
+
+    return { ...request };
+  }
+
+  /**
+   * Deny a pending request
+   */
+  deny(requestId) {
+    const request = this._getPending(requestId);
+
+    request.status = 'denied';
+    request.deniedAt = this.now();
+
+    return { ...request };
+  }
+
+  /**
+   * Currently running extension for a child, or null
+   */
+  activeExtension(childId) {
+    const active = this._forChild(childId).find(r => this._isActive(r));
+    return active ? { ...active } : null;
+  }
+
+  /**
+   * Whether a child's most recent extension has run out and not been enforced yet
+   */
+  hasExpired(childId) {
+    return this._forChild(childId).some(r =>
+      r.status === 'approved' && r.expiresAt <= this.now() && !r.enforced
+    );
+  }
+
+  /**
+   * Mark a child's expired extensions as enforced
+   */
+  markEnforced(childId) {
+    for (const request of this._forChild(childId)) {
+      if (request.status === 'approved' && request.expiresAt <= this.now()) {
+        request.enforced = true;
+      }
+    }
+  }
+
+  /**
+   * Number of extensions approved for a child today
+   */
+  approvedToday(childId) {
+    const today = dayKey(this.now());
+    return this._forChild(childId)
+      .filter(r => r.status === 'approved' && dayKey(r.approvedAt) === today)
+      .length;
+  }
+
+  /**
+   * List requests, optionally for a single child
+   */
+  list(childId = null) {
+    return Object.values(this.requests)
+      .filter(r => !childId || r.childId === childId)
+      .map(r => ({ ...r }));
+  }
+
+  /**
+   * Serialisable state for the session store (today's requests only)
+   */
+  toJSON() {
+    const today = dayKey(this.now());
+    const requests = Object.values(this.requests).filter(r => dayKey(r.requestedAt) === today);
+    return { nextId: this.nextId, requests };
+  }
+
+  /**
+   * Restore state saved by `toJSON()`
+   */
+  restore(state) {
+    this.requests = {};
+    this.nextId = (state && state.nextId) || 1;
+
+    for (const request of (state && state.requests) || []) {
+      this.requests[request.id] = { ...request };
+    }
+  }
+
+  _forChild(childId) {
+    return Object.values(this.requests).filter(r => r.childId === childId);
+  }
+
+  _isActive(request) {
+    return request.status === 'approved' && request.expiresAt > this.now();
+  }
+
+  _getPending(requestId) {
+    const request = this.requests[requestId];
+    if (!request) {
+      throw new Error(`Unknown extension request: ${requestId}`);
+    }
+
+    if (request.status !== 'pending') {
+      throw new Error(`Extension request ${requestId} is already ${request.status}`);
+    }
+
+    return request;
+  }
+}
@@ -0,0 +1,154 @@
+/**
+ * Per-Game Budgets
+ *
+ * Tracks today's play time per title for each PSN account and decides when
+ * a title's daily budget is used up. Budgets are configured per child as
+ * `{ title, titleId, dailyMinutes }`; a null `dailyMinutes` means unlimited.
+ * Play is matched to a budget by PSN title ID when PSN reports one, and by
+ * title name otherwise. Titles blocked for an exhausted budget are handed
+ * back for unblocking once the local day changes; in dry-run mode, where
+ * nothing is blocked, the blocks already reported are remembered for the day.
+ */
+
+import { dayKey } from './time-utils.js';
+
+export class GameBudgetTracker {
+  constructor(options = {}) {
+    this.now = options.now || (() => Date.now());
+
+    this.day = null;
+    // accountId -> game key -> minutes played today
+    this.used = {};
+    // accountId -> titleId -> day it was blocked
+    this.blocked = {};
+    // accountId -> titleIds a dry-run block was reported for today
+    this.reported = {};
+  }
+
+  /**
+   * Add minutes played on a game (name and/or PSN title ID)
+   */
+  record(accountId, { game = null, gameId = null, minutes }) {
+    this._rollover();
+
+    const key = gameId ? titleKey(gameId) : gameKey(game);
+    if (!key || !(minutes > 0)) {
+      return;
+    }
+
+    const account = this.used[accountId] || (this.used[accountId] = {});
+    account[key] = (account[key] || 0) + minutes;
+  }
+
+  /**
+   * Minutes played today on a budgeted title
+   */
+  usedMinutes(accountId, budget) {
+    this._rollover();
+
+    const account = this.used[accountId] || {};
+    const byId = budget.titleId ? account[titleKey(budget.titleId)] || 0 : 0;
+    const byName = budget.title ? account[gameKey(budget.title)] || 0 : 0;
+    return byId + byName;
+  }
+
+  /**
+   * Budgets used up today whose titles are not blocked yet
+   */
+  exhausted(accountId, budgets = []) {
+    return budgets.filter(budget =>
+      budget.dailyMinutes != null &&
+      budget.titleId &&
+      !this.isBlocked(accountId, budget.titleId) &&
+      this.usedMinutes(accountId, budget) >= budget.dailyMinutes
+    );
+  }
+
+  isBlocked(accountId, titleId) {
+    return !!(this.blocked[accountId] && this.blocked[accountId][titleId]);
+  }
+
+  markBlocked(accountId, titleId) {
+    const account = this.blocked[accountId] || (this.blocked[accountId] = {});
+    account[titleId] = dayKey(this.now());
+  }
+
+  markUnblocked(accountId, titleId) {
+    if (this.blocked[accountId]) {
+      delete this.blocked[accountId][titleId];
+    }
+  }
+
+  /**
+   * Whether a dry-run block of the title was already reported today
+   */
+  isReported(accountId, titleId) {
+    this._rollover();
+    return (this.reported[accountId] || []).includes(titleId);
+  }
+
+  markReported(accountId, titleId) {
+    this._rollover();
+    const titles = this.reported[accountId] || (this.reported[accountId] = []);
+    if (!titles.includes(titleId)) {
+      titles.push(titleId);
+    }
+  }
+
+  /**
+   * Titles blocked on an earlier day, due to be unblocked
+   */
+  expiredBlocks() {
+    const today = dayKey(this.now());
+    const expired = [];
+
+    for (const [accountId, titles] of Object.entries(this.blocked)) {
+      for (const [titleId, day] of Object.entries(titles)) {
+        if (day !== today) {
+          expired.push({ accountId, titleId });
+        }
+      }
+    }
+
+    return expired;
+  }
+
+  /**
+   * Serialisable state for the session store
+   */
+  toJSON() {
+    return { day: this.day, used: this.used, blocked: this.blocked, reported: this.reported };
+  }
+
+  /**
+   * Restore state saved by `toJSON()`
+   */
+  restore(state) {
+    if (!state) {
+      return;
+    }
+
+    this.day = state.day || null;
+    this.used = state.used || {};
+    this.blocked = state.blocked || {};
+    this.reported = state.reported || {};
+    this._rollover();
+  }
+
+  _rollover() {
+    const today = dayKey(this.now());
+    if (this.day !== today) {
+      this.day = today;
+      this.used = {};
+      this.reported = {};
+    }
+  }
+}
+
+function titleKey(titleId) {
+  return `id:${titleId}`;
+}
+
+function gameKey(game) {
+  return game ? `name:${String(game).trim().toLowerCase()}` : null;
+}
@@ -0,0 +1,133 @@
+/**
+ * Household Time Pool
+ *
+ * An optional daily play budget shared by several children (e.g. four hours
+ * a day on the living-room PS5 across all the kids). Minutes observed for
+ * any child in the pool count against it, the pool is exhausted for
+ * everyone at once, and it refills at the next local day. `children` limits
+ * the pool to some children; by default every mapped child shares it.
+ */
+
+import { dayKey } from './time-utils.js';
+
+export class HouseholdPool {
+  constructor(options = {}) {
+    this.now = options.now || (() => Date.now());
+    this.configure(options);
+
+    this.day = null;
+    // childId -> minutes counted against the pool today
+    this.used = {};
+    // Day the pool was enforced (children suspended), or null
+    this.enforcedDay = null;
+  }
+
+  /**
+   * Replace the pool settings; a null `dailyMinutes` disables the pool
+   */
+  configure({ dailyMinutes = null, children = null } = {}) {
+    this.dailyMinutes = dailyMinutes;
+    this.children = Array.isArray(children) ? [...children] : null;
+  }
+
+  get enabled() {
+    return this.dailyMinutes != null;
+  }
+
+  /**
+   * Whether a child shares the pool
+   */
+  includes(childId) {
+    return this.enabled && (!this.children || this.children.includes(childId));
+  }
+
+  /**
+   * Count minutes a child played against the pool
+   */
+  record(childId, minutes) {
+    this._rollover();
+
+    if (!this.includes(childId) || !(minutes > 0)) {
+      return;
+    }
+
+    this.used[childId] = (this.used[childId] || 0) + minutes;
+  }
+
+  usedMinutes() {
+    this._rollover();
+    return Object.values(this.used).reduce((total, minutes) => total + minutes, 0);
+  }
+
+  remainingMinutes() {
+    return this.enabled ? Math.max(0, this.dailyMinutes - this.usedMinutes()) : null;
+  }
+
+  exhausted() {
+    return this.enabled && this.usedMinutes() >= this.dailyMinutes;
+  }
+
+  /**
+   * Remember that the pool's children were suspended today
+   */
+  markEnforced() {
+    this.enforcedDay = dayKey(this.now());
+  }
+
+  /**
+   * Whether the pool was enforced on an earlier day and its children are
+   * due to be let back on
+   */
+  renewed() {
+    return this.enforcedDay !== null && this.enforcedDay !== dayKey(this.now());
+  }
+
+  clearEnforced() {
+    this.enforcedDay = null;
+  }
+
+  /**
+   * Today's pool usage with each child's share
+   */
+  report() {
+    this._rollover();
+
+    return {
+      day: this.day,
+      dailyMinutes: this.dailyMinutes,
+      usedMinutes: this.usedMinutes(),
+      remainingMinutes: this.remainingMinutes(),
+      exhausted: this.exhausted(),
+      byChild: { ...this.used }
+    };
+  }
+
+  /**
+   * Serialisable state for the session store
+   */
+  toJSON() {
+    return { day: this.day, used: this.used, enforcedDay: this.enforcedDay };
+  }
+
+  /**
+   * Restore state saved by `toJSON()`
+   */
+  restore(state) {
+    if (!state) {
+      return;
+    }
+
+    this.day = state.day || null;
+    this.used = state.used || {};
+    this.enforcedDay = state.enforcedDay || null;
+    this._rollover();
+  }
+
+  _rollover() {
+    const today = dayKey(this.now());
+    if (this.day !== today) {
+      this.day = today;
+      this.used = {};
+    }
+  }
+}
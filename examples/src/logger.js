@@ -0,0 +1,147 @@
+/**
+ * Structured Logger
+ *
+ * Levelled logger shared by PlayStationPlugin and PlayStationAPI. Each entry
+ * is `{ timestamp, level, message, ...context, ...fields }`, where context
+ * (component, childId, accountId...) comes from `child()` loggers. Entries
+ * are redacted before they leave the logger.
+ *
+ * Output goes to the console as text, or as one JSON line per entry with
+ * `json: true`. Hosts pass `sink` to capture entries in their own log viewer
+ * instead. Any object implementing debug/info/warn/error and `child()` can
+ * be injected in place of this logger.
+ */
+
+import { redact } from './redact.js';
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const CONSOLE_METHODS = { debug: 'debug', info: 'log', warn: 'warn', error: 'error' };
+
+export class Logger {
+  constructor(options = {}, context = {}) {
+    // Settings are shared with child loggers so setLevel() applies to all
+    this.settings = options.settings || {
+      level: checkLevel(options.level || 'info'),
+      json: !!options.json,
+      sink: options.sink || null,
+      now: options.now || (() => new Date())
+    };
+    this.context = context;
+  }
+
+  debug(message, fields) {
+    this._log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this._log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this._log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this._log('error', message, fields);
+  }
+
+  /**
+   * Logger that adds `context` fields to every entry
+   */
+  child(context) {
+    return new Logger({ settings: this.settings }, { ...this.context, ...context });
+  }
+
+  setLevel(level) {
+    this.settings.level = checkLevel(level);
+  }
+
+  isLevelEnabled(level) {
+    return LOG_LEVELS[level] >= LOG_LEVELS[this.settings.level];
+  }
+
+  _log(level, message, fields = {}) {
+    if (!this.isLevelEnabled(level)) {
+      return;
+    }
+
+    const entry = redact({
+      timestamp: this.settings.now().toISOString(),
+      level,
+      message,
+      ...this.context,
+      ...serialiseFields(fields)
+    });
+
+    if (this.settings.sink) {
+      this.settings.sink(entry);
+      return;
+    }
+
+    console[CONSOLE_METHODS[level]](this.settings.json ? JSON.stringify(entry) : formatText(entry));
+  }
+}
+
+/**
+ * Create the default logger
+ * Options: `level` (debug, info, warn, error, silent), `json`, `sink(entry)`
+ */
+export function createLogger(options = {}) {
+  return new Logger(options);
+}
+
+function checkLevel(level) {
+  if (!(level in LOG_LEVELS)) {
+    throw new Error(`Log level must be one of: ${Object.keys(LOG_LEVELS).join(', ')}`);
+  }
+  return level;
+}
+
+/**
+ * Errors become plain objects so they survive JSON output and redaction
+ */
+function serialiseFields(fields) {
+  const result = {};
+
+  for (const [key, value] of Object.entries(fields)) {
+    result[key] = value instanceof Error ? serialiseError(value) : value;
+  }
+
+  return result;
+}
+
+function serialiseError(error) {
+  const serialised = { name: error.name, message: error.message };
+
+  for (const key of ['status', 'psnCode', 'method', 'endpoint', 'retryable']) {
+    if (error[key] != null) {
+      serialised[key] = error[key];
+    }
+  }
+
+  serialised.stack = error.stack;
+  return serialised;
+}
+
+/**
+ * `[component] message key=value ...` (errors show their message only)
+ */
+function formatText(entry) {
+  const { timestamp, level, message, component, ...fields } = entry;
+  const prefix = component ? `[${component}] ` : '';
+
+  const details = Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}=${formatValue(value)}`);
+
+  return [`${prefix}${message}`, ...details].join(' ');
+}
+
+function formatValue(value) {
+  if (value && typeof value === 'object') {
+    return value.stack && value.message ? JSON.stringify(value.message) : JSON.stringify(value);
+  }
+
+  return typeof value === 'string' && /\s/.test(value) ? JSON.stringify(value) : String(value);
+}
@@ -0,0 +1,138 @@
+/**
+ * Offline Quota Support
+ *
+ * Keeps enforcement working while Allow2 is unreachable: the last known
+ * quota and day type are cached per child and activity, remaining time is
+ * estimated locally from that activity's play time, and usage that could
+ * not be logged is buffered until connectivity returns.
+ */
+
+import { dayKey } from './time-utils.js';
+
+export const OFFLINE_MODES = ['fail-open', 'fail-closed'];
+
+/**
+ * Last known Allow2 quota per child and activity
+ */
+export class OfflineQuotaCache {
+  constructor(options = {}) {
+    this.now = options.now || (() => Date.now());
+
+    // Keyed by `${childId}:${activity}`
+    this.entries = {};
+  }
+
+  /**
+   * Remember a successful Allow2 quota response
+   */
+  record(childId, activity, { allowed, remaining, dayType, playTime }) {
+    const at = this.now();
+
+    this.entries[`${childId}:${activity}`] = {
+      day: dayKey(at),
+      at,
+      allowed,
+      remaining,
+      dayType: dayType || null,
+      playTime
+    };
+  }
+
+  /**
+   * Estimate the current quota from the cached response and the activity's
+   * play time today, so only play of that activity since the cached reading
+   * counts down its quota. Returns null when there is no cached response for
+   * today
+   */
+  estimate(childId, activity, currentPlayTime) {
+    const entry = this.entries[`${childId}:${activity}`];
+    if (!entry || entry.day !== dayKey(this.now())) {
+      return null;
+    }
+
+    // No limit: nothing to count down
+    if (entry.remaining == null) {
+      return { allowed: entry.allowed, remaining: null, dayType: entry.dayType, cachedAt: entry.at };
+    }
+
+    const playedSince = Math.max(0, currentPlayTime - entry.playTime);
+    const remaining = Math.max(0, (entry.remaining || 0) - playedSince);
+
+    return {
+      allowed: entry.allowed && remaining > 0,
+      remaining,
+      dayType: entry.dayType,
+      cachedAt: entry.at
+    };
+  }
+
+  /**
+   * Serialisable state for the session store
+   */
+  toJSON() {
+    return { ...this.entries };
+  }
+
+  /**
+   * Restore state saved by `toJSON()`
+   */
+  restore(state) {
+    this.entries = state ? { ...state } : {};
+  }
+}
+
+/**
+ * Usage log entries waiting to be sent to Allow2
+ */
+export class UsageBuffer {
+  constructor(options = {}) {
+    this.now = options.now || (() => Date.now());
+    this.maxEntries = options.maxEntries || 1000;
+    this.entries = [];
+  }
+
+  /**
+   * Queue a usage entry; the oldest entries are dropped beyond `maxEntries`
+   */
+  add(childId, activity, time, meta = {}) {
+    this.entries.push({ childId, activity, time, meta, at: this.now() });
+
+    if (this.entries.length > this.maxEntries) {
+      this.entries.splice(0, this.entries.length - this.maxEntries);
+    }
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * Send buffered entries in order through `log(entry)`
+   * Stops at the first failure, keeping that entry and the rest queued
+   */
+  async flush(log) {
+    let sent = 0;
+
+    while (this.entries.length > 0) {
+      await log(this.entries[0]);
+      this.entries.shift();
+      sent++;
+    }
+
+    return sent;
+  }
+
+  /**
+   * Serialisable state for the session store
+   */
+  toJSON() {
+    return [...this.entries];
+  }
+
+  /**
+   * Restore state saved by `toJSON()`
+   */
+  restore(state) {
+    this.entries = Array.isArray(state) ? [...state] : [];
+  }
+}
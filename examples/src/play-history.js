@@ -0,0 +1,210 @@
+/**
+ * Play History
+ *
+ * Records what each child actually played as per-game segments
+ * (`{ childId, accountId, game, start, end, minutes }`) from the minutes the
+ * monitor observes, and builds reports from them: totals per day, per game
+ * and per hour of the day over a day, week or month, plus CSV and JSON
+ * export. Consecutive observations of the same game are merged into one
+ * segment; history older than `retentionDays` is dropped.
+ */
+
+import { dayKey, startOfDay, toTimestamp } from './time-utils.js';
+
+const MINUTE = 60000;
+const HOUR = 60 * MINUTE;
+
+export const REPORT_PERIODS = ['day', 'week', 'month'];
+export const EXPORT_FORMATS = ['csv', 'json'];
+
+const CSV_COLUMNS = ['childId', 'accountId', 'game', 'start', 'end', 'minutes'];
+
+export class PlayHistory {
+  constructor(options = {}) {
+    this.now = options.now || (() => Date.now());
+    this.retentionDays = options.retentionDays || 90;
+
+    // Observations further apart than this start a new segment
+    this.mergeGapMs = (options.mergeGapMinutes || 5) * MINUTE;
+
+    this.segments = [];
+  }
+
+  /**
+   * Record `minutes` of play ending now
+   */
+  record(childId, { accountId = null, game = null, minutes }) {
+    if (!(minutes > 0)) {
+      return null;
+    }
+
+    const end = this.now();
+    const start = end - minutes * MINUTE;
+    const title = game || 'Unknown';
+
+    const last = this._lastSegment(childId, accountId);
+    if (last && last.game === title && start - last.end <= this.mergeGapMs) {
+      last.end = end;
+      last.minutes += minutes;
+      return { ...last };
+    }
+
+    const segment = { childId, accountId, game: title, start, end, minutes };
+    this.segments.push(segment);
+    this._prune();
+    return { ...segment };
+  }
+
+  /**
+   * Segments overlapping [from, to), optionally for one child
+   */
+  query({ childId = null, from = 0, to = Infinity } = {}) {
+    return this.segments
+      .filter(s => (!childId || s.childId === childId) && s.end > from && s.start < to)
+      .map(s => ({ ...s }));
+  }
+
+  /**
+   * Usage report for the day, week (Monday to Sunday) or month containing `date`
+   */
+  report(childId, { period = 'week', date = this.now() } = {}) {
+    if (!REPORT_PERIODS.includes(period)) {
+      throw new Error(`Report period must be one of: ${REPORT_PERIODS.join(', ')}`);
+    }
+
+    const { from, to } = periodRange(period, toTimestamp(date));
+    const segments = this.query({ childId, from, to });
+
+    const byDay = {};
+    const byGame = {};
+    const byHour = new Array(24).fill(0);
+    let totalMs = 0;
+
+    for (const segment of segments) {
+      const start = Math.max(segment.start, from);
+      const end = Math.min(segment.end, to);
+      totalMs += end - start;
+
+      const game = byGame[segment.game] || (byGame[segment.game] = { game: segment.game, ms: 0, sessions: 0 });
+      game.ms += end - start;
+      game.sessions++;
+
+      // Split the segment at hour boundaries for the day and time-of-day totals
+      for (let at = start; at < end;) {
+        const next = Math.min(end, nextHour(at));
+        const day = dayKey(at);
+        byDay[day] = (byDay[day] || 0) + (next - at);
+        byHour[new Date(at).getHours()] += next - at;
+        at = next;
+      }
+    }
+
+    return {
+      childId,
+      period,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      totalMinutes: toMinutes(totalMs),
+      byDay: Object.fromEntries(Object.entries(byDay).map(([day, ms]) => [day, toMinutes(ms)])),
+      byGame: Object.values(byGame)
+        .map(({ game, ms, sessions }) => ({ game, minutes: toMinutes(ms), sessions }))
+        .sort((a, b) => b.minutes - a.minutes),
+      byHour: byHour.map(toMinutes)
+    };
+  }
+
+  /**
+   * Export segments as `csv` or `json`
+   */
+  export({ format = 'csv', childId = null, from, to } = {}) {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new Error(`Export format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+    }
+
+    const segments = this.query({
+      childId,
+      from: from != null ? toTimestamp(from) : 0,
+      to: to != null ? toTimestamp(to) : Infinity
+    }).map(s => ({ ...s, start: new Date(s.start).toISOString(), end: new Date(s.end).toISOString() }));
+
+    if (format === 'json') {
+      return JSON.stringify(segments, null, 2);
+    }
+
+    const rows = segments.map(s => CSV_COLUMNS.map(column => csvValue(s[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\n');
+  }
+
+  /**
+   * Serialisable state for the history store
+   */
+  toJSON() {
+    return { segments: this.segments.map(s => ({ ...s })) };
+  }
+
+  /**
+   * Restore state saved by `toJSON()`
+   */
+  restore(state) {
+    this.segments = state && Array.isArray(state.segments) ? state.segments.map(s => ({ ...s })) : [];
+    this._prune();
+  }
+
+  _lastSegment(childId, accountId) {
+    for (let i = this.segments.length - 1; i >= 0; i--) {
+      const segment = this.segments[i];
+      if (segment.childId === childId && segment.accountId === accountId) {
+        return segment;
+      }
+    }
+    return null;
+  }
+
+  _prune() {
+    const cutoff = startOfDay(this.now()) - this.retentionDays * 24 * HOUR;
+    this.segments = this.segments.filter(s => s.end >= cutoff);
+  }
+}
+
+/**
+ * Local [from, to) range of the period containing `timestamp`
+ */
+function periodRange(period, timestamp) {
+  const date = new Date(startOfDay(timestamp));
+
+  if (period === 'week') {
+    // Weeks start on Monday
+    date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  } else if (period === 'month') {
+    date.setDate(1);
+  }
+
+  const from = date.getTime();
+  if (period === 'day') {
+    date.setDate(date.getDate() + 1);
+  } else if (period === 'week') {
+    date.setDate(date.getDate() + 7);
+  } else {
+    date.setMonth(date.getMonth() + 1);
+  }
+
+  return { from, to: date.getTime() };
+}
+
+/**
+ * Start of the local hour after `timestamp`
+ */
+function nextHour(timestamp) {
+  const date = new Date(timestamp);
+  date.setMinutes(60, 0, 0);
+  return date.getTime();
+}
+
+function toMinutes(ms) {
+  return Math.round(ms / MINUTE);
+}
+
+function csvValue(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -5,23 +5,53 @@
  * Based on unofficial PSN API (psn-api npm package patterns).
  */
 
-import axios from 'axios';
 import NodeCache from 'node-cache';
+import { createAxiosTransport } from './http-transport.js';
+import { AdaptiveRateLimiter } from './rate-limiter.js';
+import { AuthExpiredError, createPSNError } from './errors.js';
+import { registerSecret, unregisterSecret } from './redact.js';
+import { createLogger } from './logger.js';
+import { DEFAULT_RETRY_OPTIONS, isRetryable, isThrottled, parseRetryAfter, retryDelay } from './retry-policy.js';
+
+const TOKEN_ENDPOINT = '/api/authz/v3/oauth/token';
+
+const DEFAULT_ENDPOINTS = {
+  baseURL: 'https://m.np.playstation.com',
+  authURL: 'https://ca.account.sony.com'
+};
 
 export class PlayStationAPI {
   constructor(config) {
     this.config = config;
+    this.logger = config.logger || createLogger().child({ component: 'PSN API' });
     this.npsso = config.npsso;
+    registerSecret(this.npsso);
     this.region = config.region || 'en-us';
 
-    // API endpoints
-    this.baseURL = 'https://m.np.playstation.com';
-    this.authURL = 'https://ca.account.sony.com';
+    // API endpoints (overridable for staging or local stand-ins)
+    const endpoints = { ...DEFAULT_ENDPOINTS, ...config.endpoints };
+    this.baseURL = config.baseURL || endpoints.baseURL;
+    this.authURL = config.authURL || endpoints.authURL;
 
-    // Authentication tokens
+    // HTTP transport (axios unless one is injected)
+    this.timeout = config.timeout || 30000;
+    this.transport = config.transport || createAxiosTransport({
+      timeout: this.timeout,
+      proxy: config.proxy
+    });
+
+    // Authentication tokens (a persisted refresh token avoids re-using the NPSSO)
     this.accessToken = null;
-    this.refreshToken = null;
+    this.refreshToken = config.refreshToken || null;
+    this.refreshTokenExpiry = config.refreshTokenExpiry || null;
     this.tokenExpiry = null;
+    registerSecret(this.refreshToken);
+
+    // Called with `{ refreshToken, refreshTokenExpiry }` whenever PSN issues tokens
+    this.onTokens = config.onTokens || null;
+
+    // In-flight token request shared by concurrent callers
+    this.tokenPromise = null;
 
     // Cache for API responses
     this.cache = new NodeCache({ stdTTL: 300 }); // 5 minute TTL
@@ -29,7 +59,12 @@ export class PlayStationAPI {
     // Rate limiting
     this.requestQueue = [];
     this.isProcessingQueue = false;
-    this.RATE_LIMIT_MS = 100; // 100ms between requests
+    this.RATE_LIMIT_MS = (config.rateLimit && config.rateLimit.intervalMs) || 100; // 100ms between requests
+    this.rateLimiter = new AdaptiveRateLimiter({ ...config.rateLimit, intervalMs: this.RATE_LIMIT_MS });
+
+    // Retries and per-request deadline
+    this.retryOptions = { ...DEFAULT_RETRY_OPTIONS, ...config.retry };
+    this.requestDeadlineMs = config.requestDeadlineMs || 60000;
   }
 
   /**
@@ -37,74 +72,163 @@ export class PlayStationAPI {
    * Uses NPSSO token to get access token
    */
   async authenticate() {
+    return this._singleFlight(() => this._authenticate());
+  }
+
+  async _authenticate() {
     try {
-      console.log('[PSN API] Authenticating...');
+      this.logger.info('Authenticating');
 
       if (!this.npsso) {
         throw new Error('NPSSO token is required for authentication');
       }
 
       // Exchange NPSSO for access token
-      const response = await axios.post(
-        `${this.authURL}/api/authz/v3/oauth/token`,
-        {
-          npsso: this.npsso,
-          grant_type: 'npsso_code',
-          scope: 'psn:mobile.v2.core psn:clientapp'
-        },
-        {
-          headers: {
-            'Content-Type': 'application/x-www-form-urlencoded'
-          }
-        }
-      );
+      const response = await this._requestToken({
+        npsso: this.npsso,
+        grant_type: 'npsso_code',
+        scope: 'psn:mobile.v2.core psn:clientapp'
+      });
 
-      this.accessToken = response.data.access_token;
-      this.refreshToken = response.data.refresh_token;
-      this.tokenExpiry = Date.now() + (response.data.expires_in * 1000);
+      this._storeTokens(response.data);
 
-      console.log('[PSN API] Authentication successful');
+      this.logger.info('Authentication successful');
       return true;
 
     } catch (error) {
-      console.error('[PSN API] Authentication failed:', error.message);
-      throw new Error(`PSN authentication failed: ${error.message}`);
+      this.logger.error('Authentication failed', { error });
+
+      // PSN rejected the NPSSO itself - only a new token will help
+      const status = error.response ? error.response.status : null;
+      if (status === 400 || status === 401 || status === 403) {
+        throw new AuthExpiredError(
+          `PSN authentication failed: NPSSO token was rejected (${error.message})`,
+          { status, body: error.response.data, method: 'POST', endpoint: TOKEN_ENDPOINT, cause: error }
+        );
+      }
+
+      throw createPSNError(`PSN authentication failed: ${error.message}`, error, {
+        method: 'POST',
+        endpoint: TOKEN_ENDPOINT
+      });
+    }
+  }
+
+  /**
+   * Swap in a new NPSSO token without restarting
+   * The previous token is kept if the new one is rejected
+   */
+  async replaceNpsso(npsso) {
+    const previous = this.npsso;
+    this.npsso = npsso;
+    registerSecret(npsso);
+
+    let result;
+    try {
+      result = await this.authenticate();
+    } catch (error) {
+      this.npsso = previous;
+      throw error;
     }
+
+    if (previous !== npsso) {
+      unregisterSecret(previous);
+    }
+    return result;
   }
 
   /**
    * Refresh access token using refresh token
+   * Concurrent callers share a single refresh
    */
   async refreshAccessToken() {
+    return this._singleFlight(() => this._refreshAccessToken());
+  }
+
+  async _refreshAccessToken() {
     try {
-      console.log('[PSN API] Refreshing access token...');
+      this.logger.debug('Refreshing access token');
 
-      const response = await axios.post(
-        `${this.authURL}/api/authz/v3/oauth/token`,
-        {
-          refresh_token: this.refreshToken,
-          grant_type: 'refresh_token',
-          scope: 'psn:mobile.v2.core psn:clientapp'
-        },
-        {
-          headers: {
-            'Content-Type': 'application/x-www-form-urlencoded'
-          }
-        }
-      );
+      const response = await this._requestToken({
+        refresh_token: this.refreshToken,
+        grant_type: 'refresh_token',
+        scope: 'psn:mobile.v2.core psn:clientapp'
+      });
 
-      this.accessToken = response.data.access_token;
-      this.refreshToken = response.data.refresh_token;
-      this.tokenExpiry = Date.now() + (response.data.expires_in * 1000);
+      this._storeTokens(response.data);
 
-      console.log('[PSN API] Token refreshed');
+      this.logger.debug('Token refreshed');
       return true;
 
     } catch (error) {
-      console.error('[PSN API] Token refresh failed:', error.message);
+      this.logger.warn('Token refresh failed, re-authenticating with NPSSO', { error });
       // If refresh fails, try full re-authentication
-      return await this.authenticate();
+      return await this._authenticate();
+    }
+  }
+
+  /**
+   * Keep the tokens from an OAuth response and hand the refresh token to
+   * `onTokens` so it can be persisted
+   */
+  _storeTokens(data) {
+    const now = Date.now();
+
+    // Replaced tokens no longer need masking
+    for (const [previous, next] of [[this.accessToken, data.access_token], [this.refreshToken, data.refresh_token]]) {
+      if (previous && previous !== next) {
+        unregisterSecret(previous);
+      }
+    }
+
+    this.accessToken = data.access_token;
+    this.refreshToken = data.refresh_token;
+    this.tokenExpiry = now + (data.expires_in * 1000);
+    this.refreshTokenExpiry = data.refresh_token_expires_in
+      ? now + (data.refresh_token_expires_in * 1000)
+      : null;
+
+    registerSecret(this.accessToken);
+    registerSecret(this.refreshToken);
+
+    if (this.onTokens) {
+      this.onTokens({ refreshToken: this.refreshToken, refreshTokenExpiry: this.refreshTokenExpiry });
+    }
+  }
+
+  /**
+   * Whether the refresh token can still be exchanged for an access token
+   */
+  hasUsableRefreshToken() {
+    return !!this.refreshToken && (!this.refreshTokenExpiry || Date.now() < this.refreshTokenExpiry);
+  }
+
+  /**
+   * Run a token operation unless one is already in flight
+   */
+  _singleFlight(operation) {
+    if (!this.tokenPromise) {
+      this.tokenPromise = operation().finally(() => {
+        this.tokenPromise = null;
+      });
     }
+
+    return this.tokenPromise;
+  }
+
+  /**
+   * POST a form-encoded grant to the OAuth token endpoint
+   */
+  async _requestToken(params) {
+    return this.transport({
+      method: 'POST',
+      url: `${this.authURL}${TOKEN_ENDPOINT}`,
+      data: new URLSearchParams(params).toString(),
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      timeout: this.timeout
+    });
   }
 
   /**
@@ -112,7 +236,8 @@ export class PlayStationAPI {
    */
   async ensureAuthenticated() {
     if (!this.accessToken) {
-      await this.authenticate();
+      // After a restart, prefer the persisted refresh token over the NPSSO
+      await (this.hasUsableRefreshToken() ? this.refreshAccessToken() : this.authenticate());
       return;
     }
 
@@ -124,18 +249,28 @@ export class PlayStationAPI {
 
   /**
    * Make authenticated API request with rate limiting
+   * `options.idempotent` marks a POST as safe to retry
    */
-  async request(method, endpoint, data = null) {
+  async request(method, endpoint, data = null, options = {}) {
     await this.ensureAuthenticated();
 
     return new Promise((resolve, reject) => {
-      this.requestQueue.push({ method, endpoint, data, resolve, reject });
+      this.requestQueue.push({
+        method,
+        endpoint,
+        data,
+        options,
+        attempt: 0,
+        deadline: Date.now() + this.requestDeadlineMs,
+        resolve,
+        reject
+      });
       this._processQueue();
     });
   }
 
   /**
-   * Process request queue with rate limiting
+   * Process request queue with rate limiting and retries
    */
   async _processQueue() {
     if (this.isProcessingQueue || this.requestQueue.length === 0) {
@@ -145,10 +280,13 @@ export class PlayStationAPI {
     this.isProcessingQueue = true;
 
     while (this.requestQueue.length > 0) {
-      const { method, endpoint, data, resolve, reject } = this.requestQueue.shift();
+      const item = this.requestQueue.shift();
+      const { method, endpoint, data, resolve, reject } = item;
+
+      await this.rateLimiter.acquire();
 
       try {
-        const response = await axios({
+        const response = await this.transport({
           method,
           url: `${this.baseURL}${endpoint}`,
           data,
@@ -156,23 +294,84 @@ export class PlayStationAPI {
             'Authorization': `Bearer ${this.accessToken}`,
             'Accept-Language': this.region,
             'Content-Type': 'application/json'
-          }
+          },
+          timeout: this.timeout
         });
 
+        this.rateLimiter.onSuccess();
         resolve(response.data);
       } catch (error) {
-        reject(error);
-      }
+        // Token revoked early: refresh once and replay the request
+        if (isTokenRejected(error) && !item.reauthenticated) {
+          item.reauthenticated = true;
+
+          try {
+            this.logger.warn('Access token rejected, re-authenticating', { method, endpoint });
+            await this.refreshAccessToken();
+            this.requestQueue.unshift(item);
+          } catch (authError) {
+            reject(authError);
+          }
+          continue;
+        }
+
+        if (isThrottled(error)) {
+          this.rateLimiter.onThrottle(parseRetryAfter(error));
+        }
 
-      // Rate limiting delay
-      if (this.requestQueue.length > 0) {
-        await new Promise(resolve => setTimeout(resolve, this.RATE_LIMIT_MS));
+        if (!this._scheduleRetry(item, error)) {
+          reject(createPSNError(error.message, error, { method, endpoint }));
+        }
       }
     }
 
     this.isProcessingQueue = false;
   }
 
+  /**
+   * Re-queue a failed request after its backoff delay
+   * Returns false when the request is not retryable, out of attempts,
+   * or would miss its deadline
+   */
+  _scheduleRetry(item, error) {
+    const { maxRetries } = this.retryOptions;
+
+    if (item.attempt >= maxRetries || !isRetryable(item.method, error, item.options)) {
+      return false;
+    }
+
+    const delay = retryDelay(item.attempt, error, this.retryOptions);
+    if (Date.now() + delay >= item.deadline) {
+      return false;
+    }
+
+    item.attempt++;
+    this.logger.warn('Request failed, retrying', {
+      method: item.method,
+      endpoint: item.endpoint,
+      attempt: item.attempt,
+      maxRetries,
+      delayMs: delay,
+      error
+    });
+
+    setTimeout(() => {
+      this.requestQueue.push(item);
+      this._processQueue();
+    }, delay);
+
+    return true;
+  }
+
+  /**
+   * Wrap a failure with context as a typed PSNError, passing
+   * AuthExpiredError through untouched so callers can tell a dead NPSSO
+   * from other failures
+   */
+  _wrapError(message, error) {
+    return createPSNError(`${message}: ${error.message}`, error);
+  }
+
   /**
    * List child accounts under the authenticated account
    */
@@ -198,18 +397,19 @@ export class PlayStationAPI {
       return childAccounts;
 
     } catch (error) {
-      console.error('[PSN API] List child accounts error:', error.message);
-      throw new Error(`Failed to list child accounts: ${error.message}`);
+      this.logger.error('List child accounts failed', { error });
+      throw this._wrapError('Failed to list child accounts', error);
     }
   }
 
   /**
    * Get play time for an account
+   * `fresh` skips the one-minute cache
    */
-  async getPlayTime(accountId) {
+  async getPlayTime(accountId, { fresh = false } = {}) {
     try {
       const cacheKey = `playTime_${accountId}`;
-      const cached = this.cache.get(cacheKey);
+      const cached = fresh ? null : this.cache.get(cacheKey);
       if (cached) return cached;
 
       // Get play session data
@@ -224,6 +424,10 @@ export class PlayStationAPI {
         weekMinutes: data.weekPlayTime || 0,
         currentlyPlaying: data.status === 'online',
         currentGame: data.currentTitle || null,
+        currentGameId: data.currentTitleId || null,
+        currentGameCategory: data.currentTitleCategory || null,
+        currentGameGenre: data.currentTitleGenre || null,
+        currentGameAgeRating: data.currentTitleAgeRating ?? null,
         lastPlayed: data.lastPlayedAt || null
       };
 
@@ -232,8 +436,8 @@ export class PlayStationAPI {
       return playTime;
 
     } catch (error) {
-      console.error('[PSN API] Get play time error:', error.message);
-      throw new Error(`Failed to get play time: ${error.message}`);
+      this.logger.error('Get play time failed', { accountId, error });
+      throw this._wrapError('Failed to get play time', error);
     }
   }
 
@@ -242,7 +446,7 @@ export class PlayStationAPI {
    */
   async setPlayTimeLimit(accountId, limitMinutes) {
     try {
-      console.log(`[PSN API] Setting play time limit for ${accountId}: ${limitMinutes} minutes`);
+      this.logger.info('Setting play time limit', { accountId, limitMinutes });
 
       await this.request(
         'PUT',
@@ -255,12 +459,39 @@ export class PlayStationAPI {
 
       // Invalidate cache
       this.cache.del(`playTime_${accountId}`);
+      this.cache.del(`parentalControls_${accountId}`);
+
+      return true;
+
+    } catch (error) {
+      this.logger.error('Set play time limit failed', { accountId, error });
+      throw this._wrapError('Failed to set play time limit', error);
+    }
+  }
+
+  /**
+   * Replace the full play time settings for an account
+   * Used to restore a previously captured `playTimeSettings` snapshot
+   */
+  async setPlayTimeSettings(accountId, settings) {
+    try {
+      this.logger.info('Restoring play time settings', { accountId });
+
+      await this.request(
+        'PUT',
+        `/api/familyManagement/v1/users/${accountId}/playTimeSettings`,
+        settings
+      );
+
+      // Invalidate cache
+      this.cache.del(`playTime_${accountId}`);
+      this.cache.del(`parentalControls_${accountId}`);
 
       return true;
 
     } catch (error) {
-      console.error('[PSN API] Set play time limit error:', error.message);
-      throw new Error(`Failed to set play time limit: ${error.message}`);
+      this.logger.error('Set play time settings failed', { accountId, error });
+      throw this._wrapError('Failed to set play time settings', error);
     }
   }
 
@@ -269,7 +500,7 @@ export class PlayStationAPI {
    */
   async blockGame(accountId, gameId) {
     try {
-      console.log(`[PSN API] Blocking game ${gameId} for ${accountId}`);
+      this.logger.info('Blocking game', { accountId, gameId });
 
       await this.request(
         'POST',
@@ -278,14 +509,15 @@ export class PlayStationAPI {
           contentId: gameId,
           type: 'game',
           action: 'block'
-        }
+        },
+        { idempotent: true }
       );
 
       return true;
 
     } catch (error) {
-      console.error('[PSN API] Block game error:', error.message);
-      throw new Error(`Failed to block game: ${error.message}`);
+      this.logger.error('Block game failed', { accountId, gameId, error });
+      throw this._wrapError('Failed to block game', error);
     }
   }
 
@@ -294,7 +526,7 @@ export class PlayStationAPI {
    */
   async unblockGame(accountId, gameId) {
     try {
-      console.log(`[PSN API] Unblocking game ${gameId} for ${accountId}`);
+      this.logger.info('Unblocking game', { accountId, gameId });
 
       await this.request(
         'DELETE',
@@ -304,8 +536,68 @@ export class PlayStationAPI {
       return true;
 
     } catch (error) {
-      console.error('[PSN API] Unblock game error:', error.message);
-      throw new Error(`Failed to unblock game: ${error.message}`);
+      this.logger.error('Unblock game failed', { accountId, gameId, error });
+      throw this._wrapError('Failed to unblock game', error);
+    }
+  }
+
+  /**
+   * Send a system message to an account's console
+   */
+  async sendMessage(accountId, message) {
+    try {
+      this.logger.info('Sending message', { accountId });
+
+      await this.request(
+        'POST',
+        `/api/familyManagement/v1/users/${accountId}/messages`,
+        { message }
+      );
+
+      return true;
+
+    } catch (error) {
+      this.logger.error('Send message failed', { accountId, error });
+      throw this._wrapError('Failed to send message', error);
+    }
+  }
+
+  /**
+   * Get the console an account is on (PSN presence)
+   * `platform` is `PS4` or `PS5`; `deviceId` is null when PSN does not report it
+   */
+  async getPresence(accountId) {
+    try {
+      const cacheKey = `presence_${accountId}`;
+      const cached = this.cache.get(cacheKey);
+      if (cached) return cached;
+
+      const data = await this.request(
+        'GET',
+        `/api/userProfile/v1/internal/users/${accountId}/basicPresences?type=primary`
+      );
+
+      const presence = data.basicPresence || {};
+      const platformInfo = presence.primaryPlatformInfo || {};
+      const [title] = presence.gameTitleInfoList || [];
+
+      const result = {
+        accountId,
+        online: platformInfo.onlineStatus === 'online',
+        platform: platformInfo.platform ? String(platformInfo.platform).toUpperCase() : null,
+        deviceId: platformInfo.deviceId || null,
+        currentGame: title ? title.titleName : null,
+        currentGameId: title ? title.npTitleId : null,
+        lastOnline: platformInfo.lastOnlineDate || null
+      };
+
+      // Same short cache as play time
+      this.cache.set(cacheKey, result, 60);
+      return result;
+
+    } catch (error) {
+      this.logger.error('Get presence failed', { accountId, error });
+      throw this._wrapError('Failed to get presence', error);
     }
   }
 
@@ -322,18 +614,19 @@ export class PlayStationAPI {
       return data.restrictedContent || [];
 
     } catch (error) {
-      console.error('[PSN API] Get restricted content error:', error.message);
-      throw new Error(`Failed to get restricted content: ${error.message}`);
+      this.logger.error('Get restricted content failed', { accountId, error });
+      throw this._wrapError('Failed to get restricted content', error);
     }
   }
 
   /**
    * Get parental control settings for an account
+   * `fresh` skips the cache
    */
-  async getParentalControls(accountId) {
+  async getParentalControls(accountId, { fresh = false } = {}) {
     try {
       const cacheKey = `parentalControls_${accountId}`;
-      const cached = this.cache.get(cacheKey);
+      const cached = fresh ? null : this.cache.get(cacheKey);
       if (cached) return cached;
 
       const data = await this.request(
@@ -345,8 +638,8 @@ export class PlayStationAPI {
       return data;
 
     } catch (error) {
-      console.error('[PSN API] Get parental controls error:', error.message);
-      throw new Error(`Failed to get parental controls: ${error.message}`);
+      this.logger.error('Get parental controls failed', { accountId, error });
+      throw this._wrapError('Failed to get parental controls', error);
     }
   }
 
@@ -355,7 +648,7 @@ export class PlayStationAPI {
    */
   async updateParentalControls(accountId, settings) {
     try {
-      console.log(`[PSN API] Updating parental controls for ${accountId}`);
+      this.logger.info('Updating parental controls', { accountId });
 
       await this.request(
         'PUT',
@@ -369,8 +662,20 @@ export class PlayStationAPI {
       return true;
 
     } catch (error) {
-      console.error('[PSN API] Update parental controls error:', error.message);
-      throw new Error(`Failed to update parental controls: ${error.message}`);
+      this.logger.error('Update parental controls failed', { accountId, error });
+      throw this._wrapError('Failed to update parental controls', error);
     }
   }
 }
+
+/**
+ * Whether PSN rejected the request's access token
+ */
+function isTokenRejected(error) {
+  if (!error.response) {
+    return false;
+  }
+
+  const body = error.response.data || {};
+  return error.response.status === 401 || body.error === 'invalid_token';
+}
@@ -0,0 +1,69 @@
+/**
+ * Adaptive Rate Limiter
+ *
+ * Token bucket that spaces PSN requests. When PSN signals throttling (429,
+ * 503, Retry-After) the refill interval backs off and the bucket pauses;
+ * successful requests gradually restore the configured rate.
+ */
+
+export class AdaptiveRateLimiter {
+  constructor(options = {}) {
+    this.baseIntervalMs = options.intervalMs || 100;
+    this.maxIntervalMs = options.maxIntervalMs || 5000;
+    this.burst = options.burst || 1;
+    this.now = options.now || (() => Date.now());
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+
+    this.intervalMs = this.baseIntervalMs;
+    this.tokens = this.burst;
+    this.lastRefill = this.now();
+    this.pausedUntil = 0;
+  }
+
+  /**
+   * Wait until a request may be sent, then consume a token
+   */
+  async acquire() {
+    for (;;) {
+      const now = this.now();
+
+      if (now < this.pausedUntil) {
+        await this.sleep(this.pausedUntil - now);
+        continue;
+      }
+
+      this._refill(now);
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+
+      await this.sleep(Math.ceil((1 - this.tokens) * this.intervalMs));
+    }
+  }
+
+  /**
+   * PSN throttled a request: slow down, and pause for Retry-After if given
+   */
+  onThrottle(retryAfterMs = null) {
+    this.intervalMs = Math.min(this.maxIntervalMs, this.intervalMs * 2);
+    this.tokens = 0;
+
+    if (retryAfterMs) {
+      this.pausedUntil = Math.max(this.pausedUntil, this.now() + retryAfterMs);
+    }
+  }
+
+  /**
+   * A request succeeded: ease back towards the configured rate
+   */
+  onSuccess() {
+    this.intervalMs = Math.max(this.baseIntervalMs, Math.round(this.intervalMs * 0.8));
+  }
+
+  _refill(now) {
+    const elapsed = now - this.lastRefill;
+    this.lastRefill = now;
+    this.tokens = Math.min(this.burst, this.tokens + elapsed / this.intervalMs);
+  }
+}
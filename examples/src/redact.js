@@ -0,0 +1,85 @@
+/**
+ * Secret Redaction
+ *
+ * Masks PSN credentials before anything is written to the log. Known
+ * secret values (NPSSO, access and refresh tokens) are registered as they
+ * are obtained; common token shapes (bearer headers, OAuth form fields,
+ * JSON credential properties) are masked even when they were never
+ * registered.
+ */
+
+export const REDACTED = '[REDACTED]';
+
+// Shorter values are too likely to match ordinary text
+const MIN_SECRET_LENGTH = 6;
+
+const SECRET_PATTERNS = [
+  [/\b(Bearer\s+)[A-Za-z0-9\-._~+/]+=*/gi, `$1${REDACTED}`],
+  [/\b(npsso|refresh_token|access_token|code)=[^&\s"']+/gi, `$1=${REDACTED}`],
+  [/("(?:npsso|refreshToken|refresh_token|accessToken|access_token)"\s*:\s*")[^"]*"/gi, `$1${REDACTED}"`]
+];
+
+const secrets = new Set();
+
+/**
+ * Register a secret value so it is masked wherever it appears
+ */
+export function registerSecret(value) {
+  if (typeof value === 'string' && value.length >= MIN_SECRET_LENGTH) {
+    secrets.add(value);
+  }
+}
+
+/**
+ * Stop masking a secret that was replaced (e.g. a refreshed access token),
+ * so the registry does not grow with every refresh
+ */
+export function unregisterSecret(value) {
+  secrets.delete(value);
+}
+
+/**
+ * Mask secrets in a string, Error or JSON-serialisable value
+ * Errors become their (masked) stack trace; objects are masked copies
+ */
+export function redact(value) {
+  if (value instanceof Error) {
+    return redactString(value.stack || `${value.name}: ${value.message}`);
+  }
+
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+
+  if (value && typeof value === 'object') {
+    let json;
+    try {
+      json = JSON.stringify(value);
+    } catch (error) {
+      return '[Unserialisable]';
+    }
+
+    const masked = redactString(json);
+    try {
+      return JSON.parse(masked);
+    } catch (error) {
+      return masked;
+    }
+  }
+
+  return value;
+}
+
+function redactString(text) {
+  let result = text;
+
+  for (const secret of secrets) {
+    result = result.split(secret).join(REDACTED);
+  }
+
+  for (const [pattern, replacement] of SECRET_PATTERNS) {
+    result = result.replace(pattern, replacement);
+  }
+
+  return result;
+}
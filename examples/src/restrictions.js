@@ -0,0 +1,113 @@
+/**
+ * Game Restriction Ownership
+ *
+ * Tracks which PSN title restrictions the plugin placed, and for what
+ * (`allow2` state or a per-game `gameBudget`), so restrictions are applied
+ * as a minimal diff against PSN's current list and the plugin only ever
+ * removes blocks it owns. A title blocked on PSN without a plugin owner was
+ * set by the parent and is never unblocked. A title held by several owners
+ * stays blocked until the last one lets go.
+ */
+
+export class RestrictionOwnership {
+  constructor() {
+    // accountId -> titleId -> [source, ...]
+    this.owners = {};
+  }
+
+  /**
+   * Sources holding a title's restriction
+   */
+  ownersOf(accountId, titleId) {
+    return [...((this.owners[accountId] || {})[titleId] || [])];
+  }
+
+  claim(accountId, titleId, source) {
+    const account = this.owners[accountId] || (this.owners[accountId] = {});
+    const sources = account[titleId] || (account[titleId] = []);
+    if (!sources.includes(source)) {
+      sources.push(source);
+    }
+  }
+
+  /**
+   * Let go of a title for one source
+   * Returns true when that source held it and no other source still does,
+   * i.e. the plugin should now unblock it
+   */
+  release(accountId, titleId, source) {
+    const sources = this.ownersOf(accountId, titleId);
+    if (!sources.includes(source)) {
+      return false;
+    }
+
+    const remaining = sources.filter(s => s !== source);
+    if (remaining.length > 0) {
+      this.owners[accountId][titleId] = remaining;
+      return false;
+    }
+
+    delete this.owners[accountId][titleId];
+    return true;
+  }
+
+  /**
+   * Minimal PSN changes to apply Allow2 game restrictions for `source`
+   * `restrictions` are `{ action: 'block' | 'unblock', gameId }` (the last
+   * entry per game wins) and are the whole desired set: titles `source`
+   * holds that are no longer listed are unblocked. `restricted` is the set
+   * of title IDs PSN restricts now. Returns title IDs to `block` and
+   * `unblock`, those already as requested (`unchanged`), parent blocks that
+   * were kept (`parentOwned`) and blocks still held by another source
+   * (`held`).
+   */
+  plan(accountId, restrictions, restricted, source = 'allow2') {
+    const desired = new Map();
+    for (const { action, gameId } of restrictions) {
+      if ((action === 'block' || action === 'unblock') && gameId) {
+        desired.set(gameId, action);
+      }
+    }
+
+    for (const [gameId, sources] of Object.entries(this.owners[accountId] || {})) {
+      if (!desired.has(gameId) && sources.includes(source)) {
+        desired.set(gameId, 'unblock');
+      }
+    }
+
+    const plan = { block: [], unblock: [], unchanged: [], parentOwned: [], held: [] };
+
+    for (const [gameId, action] of desired) {
+      const owners = this.ownersOf(accountId, gameId);
+      const isRestricted = restricted.has(gameId);
+
+      if (action === 'block') {
+        plan[isRestricted ? 'unchanged' : 'block'].push(gameId);
+      } else if (!isRestricted) {
+        plan.unchanged.push(gameId);
+      } else if (owners.length === 0) {
+        plan.parentOwned.push(gameId);
+      } else if (owners.length === 1 && owners[0] === source) {
+        plan.unblock.push(gameId);
+      } else {
+        plan.held.push(gameId);
+      }
+    }
+
+    return plan;
+  }
+
+  /**
+   * Serialisable state for the session store
+   */
+  toJSON() {
+    return { owners: this.owners };
+  }
+
+  /**
+   * Restore state saved by `toJSON()`
+   */
+  restore(state) {
+    this.owners = (state && state.owners) || {};
+  }
+}
@@ -0,0 +1,97 @@
+/**
+ * Retry Policy
+ *
+ * Classifies failed PSN requests as retryable or not and computes the delay
+ * before the next attempt. Idempotent requests (GET, PUT, DELETE, or a POST
+ * flagged idempotent by its caller) are retried on throttling, 5xx and
+ * network errors; other POSTs only when PSN certainly did not process them
+ * (429, or the connection was never established).
+ */
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// Request was rejected before PSN acted on it - safe to retry any method
+const NOT_PROCESSED_STATUSES = [429];
+const NOT_SENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+// Outcome unknown - only safe to retry idempotent requests
+const TRANSIENT_STATUSES = [408, 500, 502, 503, 504];
+const TRANSIENT_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE'];
+
+export const DEFAULT_RETRY_OPTIONS = {
+  maxRetries: 3,
+  baseDelayMs: 250,
+  maxDelayMs: 10000
+};
+
+/**
+ * Whether a request may be retried after `error`
+ */
+export function isRetryable(method, error, { idempotent = false } = {}) {
+  const status = error.response ? error.response.status : null;
+  const safe = idempotent || IDEMPOTENT_METHODS.includes(String(method).toUpperCase());
+
+  if (status !== null) {
+    if (NOT_PROCESSED_STATUSES.includes(status)) return true;
+    return safe && TRANSIENT_STATUSES.includes(status);
+  }
+
+  if (NOT_SENT_CODES.includes(error.code)) return true;
+  return safe && TRANSIENT_CODES.includes(error.code);
+}
+
+/**
+ * Whether PSN is asking us to slow down
+ */
+export function isThrottled(error) {
+  const status = error.response ? error.response.status : null;
+  return status === 429 || status === 503;
+}
+
+/**
+ * Retry-After header in milliseconds (delta-seconds or HTTP date), or null
+ */
+export function parseRetryAfter(error, now = Date.now()) {
+  const value = getHeader(error.response && error.response.headers, 'retry-after');
+  if (value == null || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Delay before retry number `attempt` (0-based)
+ * Honours Retry-After (bounded only by the request deadline), otherwise
+ * exponential backoff with full jitter capped at `maxDelayMs`
+ */
+export function retryDelay(attempt, error, options = {}, random = Math.random) {
+  const { baseDelayMs, maxDelayMs } = { ...DEFAULT_RETRY_OPTIONS, ...options };
+
+  const retryAfter = parseRetryAfter(error);
+  if (retryAfter !== null) {
+    return retryAfter;
+  }
+
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt));
+  return Math.round(random() * ceiling);
+}
+
+function getHeader(headers, name) {
+  if (!headers) {
+    return null;
+  }
+
+  if (typeof headers.get === 'function') {
+    return headers.get(name);
+  }
+
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+  return key ? headers[key] : null;
+}
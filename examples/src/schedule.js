@@ -0,0 +1,158 @@
+/**
+ * Time-of-Day Schedules
+ *
+ * Decides whether a child may play right now from a list of weekly rules,
+ * evaluated in the child's timezone:
+ *
+ * - `block` rules forbid play inside their window (bedtime, homework hours)
+ * - `allow` rules are the only windows play is permitted on their days
+ *   (e.g. weekends 09:00-21:00); days without an allow rule are unrestricted
+ *
+ * Rules look like `{ name, type, days: ['mon', ...], from: '20:00', to: '07:00' }`.
+ * `days` defaults to every day; a window whose `to` is earlier than its
+ * `from` runs past midnight into the next day. Block rules win over allow rules.
+ * A rule with `devices` (device IDs, parent-given device names or platforms
+ * such as `PS4`) only applies while the child is on one of those consoles.
+ */
+
+export const SCHEDULE_RULE_TYPES = ['block', 'allow'];
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$|^24:00$/;
+
+export class ScheduleEngine {
+  constructor(options = {}) {
+    this.now = options.now || (() => Date.now());
+  }
+
+  /**
+   * Evaluate a child's rules now, on `device` (`{ deviceId, name, platform }`)
+   * Returns `{ allowed, rule, type }`; `rule` is the name of the rule that
+   * decided (null when no rule applies)
+   */
+  evaluate(rules = [], timezone = null, device = null) {
+    const schedule = parseSchedule(rules).filter(rule => onDevice(rule, device));
+    const { day, minutes } = localTime(this.now(), timezone);
+
+    const block = schedule.find(rule => rule.type === 'block' && inWindow(rule, day, minutes));
+    if (block) {
+      return { allowed: false, rule: block.name, type: 'block' };
+    }
+
+    const windows = schedule.filter(rule => rule.type === 'allow' &&
+      (rule.days.includes(day) || inWindow(rule, day, minutes)));
+    if (windows.length === 0) {
+      return { allowed: true, rule: null, type: null };
+    }
+
+    const open = windows.find(rule => inWindow(rule, day, minutes));
+    return open
+      ? { allowed: true, rule: open.name, type: 'allow' }
+      : { allowed: false, rule: windows[0].name, type: 'allow' };
+  }
+}
+
+/**
+ * Validate and normalise schedule rules (times become minutes after
+ * midnight, days become `Date#getDay()` indexes)
+ * Throws on the first invalid rule
+ */
+export function parseSchedule(rules) {
+  if (!Array.isArray(rules)) {
+    throw new Error('Schedule must be a list of rules');
+  }
+
+  return rules.map((rule, index) => {
+    const name = rule.name || `${rule.type} ${rule.from}-${rule.to}`;
+
+    if (!SCHEDULE_RULE_TYPES.includes(rule.type)) {
+      throw new Error(`Schedule rule ${index + 1} type must be one of: ${SCHEDULE_RULE_TYPES.join(', ')}`);
+    }
+
+    if (!TIME_PATTERN.test(rule.from) || !TIME_PATTERN.test(rule.to) || rule.from === rule.to) {
+      throw new Error(`Schedule rule "${name}" needs distinct from/to times as HH:MM`);
+    }
+
+    const days = (rule.days || WEEKDAYS).map(day => WEEKDAYS.indexOf(String(day).slice(0, 3).toLowerCase()));
+    if (days.includes(-1)) {
+      throw new Error(`Schedule rule "${name}" days must be weekday names`);
+    }
+
+    if (rule.devices != null && !(Array.isArray(rule.devices) && rule.devices.length > 0)) {
+      throw new Error(`Schedule rule "${name}" devices must be a non-empty list`);
+    }
+
+    return {
+      name,
+      type: rule.type,
+      days,
+      from: toMinutes(rule.from),
+      to: toMinutes(rule.to),
+      devices: rule.devices ? rule.devices.map(deviceKey) : null
+    };
+  });
+}
+
+/**
+ * Check an IANA timezone name (e.g. `Europe/London`)
+ */
+export function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Weekday index and minutes after midnight in `timezone` (host time when null)
+ */
+export function localTime(timestamp, timezone = null) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone || undefined,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(timestamp));
+
+  const part = type => parts.find(p => p.type === type).value;
+  return {
+    day: WEEKDAYS.indexOf(part('weekday').toLowerCase()),
+    minutes: Number(part('hour')) * 60 + Number(part('minute'))
+  };
+}
+
+function onDevice(rule, device) {
+  if (!rule.devices) {
+    return true;
+  }
+
+  if (!device) {
+    return false;
+  }
+
+  return [device.deviceId, device.name, device.platform]
+    .some(value => value != null && rule.devices.includes(deviceKey(value)));
+}
+
+function deviceKey(value) {
+  return String(value).trim().toLowerCase();
+}
+
+function inWindow(rule, day, minutes) {
+  if (rule.from < rule.to) {
+    return rule.days.includes(day) && minutes >= rule.from && minutes < rule.to;
+  }
+
+  // Overnight: the evening on a scheduled day, or the morning after one
+  const previousDay = (day + 6) % 7;
+  return (rule.days.includes(day) && minutes >= rule.from) ||
+    (rule.days.includes(previousDay) && minutes < rule.to);
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
@@ -0,0 +1,81 @@
+/**
+ * Session Storage Backends
+ *
+ * Persist plugin session state (active sessions, suspension timestamps,
+ * last-seen game) between restarts. A backend implements `load()`, which
+ * resolves to the last saved object or null, and `save(data)`.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * JSON file backend (default)
+ * Writes go to a temporary file that is renamed over the target, so a crash
+ * mid-write never leaves a truncated session file behind. Saves are chained,
+ * so overlapping saves never share the temporary file and land in order.
+ */
+export class JsonFileSessionStore {
+  constructor(filePath, options = {}) {
+    if (!filePath) {
+      throw new Error('Session store file path is required');
+    }
+
+    this.filePath = filePath;
+    this.mode = options.mode || 0o644;
+    this.saving = Promise.resolve();
+  }
+
+  async load() {
+    try {
+      const contents = await fs.readFile(this.filePath, 'utf8');
+      return JSON.parse(contents);
+
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw new Error(`Failed to load sessions from ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  save(data) {
+    // Serialise now: the caller may keep changing the objects while queued
+    const contents = JSON.stringify(data, null, 2);
+
+    const save = this.saving.then(() => this._write(contents));
+    this.saving = save.catch(() => {});
+    return save;
+  }
+
+  async _write(contents) {
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+
+    try {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(tempPath, contents, { encoding: 'utf8', mode: this.mode });
+      await fs.rename(tempPath, this.filePath);
+
+    } catch (error) {
+      await fs.unlink(tempPath).catch(() => {});
+      throw new Error(`Failed to save sessions to ${this.filePath}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * In-memory backend (tests and hosts without a writable data directory)
+ */
+export class MemorySessionStore {
+  constructor(initialData = null) {
+    this.data = initialData ? JSON.parse(JSON.stringify(initialData)) : null;
+  }
+
+  async load() {
+    return this.data ? JSON.parse(JSON.stringify(this.data)) : null;
+  }
+
+  async save(data) {
+    this.data = JSON.parse(JSON.stringify(data));
+  }
+}
@@ -0,0 +1,280 @@
+/**
+ * Bonus Time and Banking
+ *
+ * Play minutes on top of the Allow2 quota. Parents grant bonus time (for
+ * chores, good grades, ...) with a reason and optional expiry; with rollover
+ * enabled, quota a child leaves unused at the end of a day is banked as a
+ * `rollover` grant, up to `rolloverCapMinutes` banked at once. Banked
+ * minutes are only drawn once the day's Allow2 quota is used up, from the
+ * grant that expires first. Every change is kept in an audit history.
+ */
+
+import { dayKey } from './time-utils.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+export class TimeBank {
+  constructor(options = {}) {
+    this.now = options.now || (() => Date.now());
+
+    // Rollover is off until a cap is configured
+    this.rolloverCapMinutes = options.rolloverCapMinutes || 0;
+    this.rolloverExpiryDays = options.rolloverExpiryDays || 7;
+    this.historyDays = options.historyDays || 90;
+
+    // Grants keyed by id
+    this.grants = {};
+    this.history = [];
+    this.nextId = 1;
+
+    // Per-child quota Allow2 last reported as unused: { day, remaining }
+    this.unused = {};
+    // Children whose Allow2 quota is used up, so play draws on the bank
+    this.drawing = {};
+  }
+
+  /**
+   * Grant bonus minutes to a child
+   */
+  grant(childId, minutes, { reason = null, expiresAt = null, type = 'bonus' } = {}) {
+    if (!Number.isInteger(minutes) || minutes <= 0) {
+      throw new Error('Bonus minutes must be a positive whole number');
+    }
+
+    if (expiresAt != null && !(expiresAt > this.now())) {
+      throw new Error('Bonus expiry must be in the future');
+    }
+
+    const grant = {
+      id: `${type}-${this.now()}-${this.nextId++}`,
+      childId,
+      type,
+      minutes,
+      remaining: minutes,
+      reason,
+      grantedAt: this.now(),
+      expiresAt,
+      revokedAt: null
+    };
+
+    this.grants[grant.id] = grant;
+    this._audit('grant', grant, minutes);
+    return this._describe(grant);
+  }
+
+  /**
+   * Revoke a grant; minutes already used stay used
+   */
+  revoke(grantId) {
+    const grant = this.grants[grantId];
+    if (!grant) {
+      throw new Error(`Unknown bonus grant: ${grantId}`);
+    }
+
+    if (grant.revokedAt) {
+      throw new Error(`Bonus grant ${grantId} is already revoked`);
+    }
+
+    grant.revokedAt = this.now();
+    this._audit('revoke', grant, grant.remaining);
+    return this._describe(grant);
+  }
+
+  /**
+   * Unused, unexpired bonus minutes for a child
+   */
+  available(childId) {
+    this._expire();
+    return this._active(childId).reduce((total, grant) => total + grant.remaining, 0);
+  }
+
+  /**
+   * Fold a child's bonus time into an Allow2 quota decision
+   * Banks yesterday's unused quota first (when rollover is enabled)
+   */
+  adjust(childId, { allowed, remaining }) {
+    this._rollover(childId);
+    const bonusMinutes = this.available(childId);
+
+    // Without a known remaining quota there is nothing to top up
+    if (remaining == null) {
+      this.drawing[childId] = false;
+      return { allowed, remaining, bonusMinutes };
+    }
+
+    if (remaining > 0) {
+      this.drawing[childId] = false;
+      this.unused[childId] = { day: dayKey(this.now()), remaining };
+      return { allowed, remaining: remaining + bonusMinutes, bonusMinutes };
+    }
+
+    this.drawing[childId] = true;
+    this.unused[childId] = { day: dayKey(this.now()), remaining: 0 };
+    return { allowed: allowed || bonusMinutes > 0, remaining: bonusMinutes, bonusMinutes };
+  }
+
+  /**
+   * Draw played minutes from the bank once the Allow2 quota is used up
+   * Returns the minutes drawn
+   */
+  consume(childId, minutes) {
+    if (!this.drawing[childId] || !(minutes > 0)) {
+      return 0;
+    }
+
+    this._expire();
+    const grants = this._active(childId)
+      .sort((a, b) => (a.expiresAt ?? Infinity) - (b.expiresAt ?? Infinity) || a.grantedAt - b.grantedAt);
+
+    let left = minutes;
+    for (const grant of grants) {
+      const drawn = Math.min(grant.remaining, left);
+      grant.remaining -= drawn;
+      left -= drawn;
+      this._audit('spend', grant, drawn);
+
+      if (left <= 0) {
+        break;
+      }
+    }
+
+    return minutes - left;
+  }
+
+  /**
+   * Grants, newest first, optionally for a single child
+   */
+  list(childId = null) {
+    this._expire();
+    return Object.values(this.grants)
+      .filter(grant => !childId || grant.childId === childId)
+      .sort((a, b) => b.grantedAt - a.grantedAt)
+      .map(grant => this._describe(grant));
+  }
+
+  /**
+   * Audit history, oldest first, optionally for a single child
+   */
+  audit(childId = null) {
+    return this.history
+      .filter(entry => !childId || entry.childId === childId)
+      .map(entry => ({ ...entry }));
+  }
+
+  /**
+   * Serialisable state for the session store
+   */
+  toJSON() {
+    this._prune();
+    return {
+      nextId: this.nextId,
+      grants: Object.values(this.grants).map(grant => ({ ...grant })),
+      history: this.audit(),
+      unused: { ...this.unused },
+      drawing: { ...this.drawing }
+    };
+  }
+
+  /**
+   * Restore state saved by `toJSON()`
+   */
+  restore(state) {
+    this.nextId = (state && state.nextId) || 1;
+    this.grants = {};
+    this.history = (state && Array.isArray(state.history)) ? state.history.map(entry => ({ ...entry })) : [];
+    this.unused = (state && state.unused) || {};
+    this.drawing = (state && state.drawing) || {};
+
+    for (const grant of (state && state.grants) || []) {
+      this.grants[grant.id] = { ...grant };
+    }
+
+    this._prune();
+  }
+
+  /**
+   * Bank the unused quota reported on an earlier day
+   */
+  _rollover(childId) {
+    const unused = this.unused[childId];
+    if (!unused || unused.day === dayKey(this.now())) {
+      return;
+    }
+
+    delete this.unused[childId];
+    this.drawing[childId] = false;
+
+    const banked = this._active(childId)
+      .filter(grant => grant.type === 'rollover')
+      .reduce((total, grant) => total + grant.remaining, 0);
+    const minutes = Math.floor(Math.min(unused.remaining, this.rolloverCapMinutes - banked));
+
+    if (minutes > 0) {
+      this.grant(childId, minutes, {
+        type: 'rollover',
+        reason: `Unused quota from ${unused.day}`,
+        expiresAt: this.now() + this.rolloverExpiryDays * MS_PER_DAY
+      });
+    }
+  }
+
+  /**
+   * Record grants that ran out of time with minutes left
+   */
+  _expire() {
+    for (const grant of Object.values(this.grants)) {
+      if (!grant.revokedAt && !grant.expiredAt && grant.expiresAt != null &&
+          grant.expiresAt <= this.now() && grant.remaining > 0) {
+        grant.expiredAt = grant.expiresAt;
+        this._audit('expire', grant, grant.remaining);
+      }
+    }
+  }
+
+  _active(childId) {
+    return Object.values(this.grants).filter(grant =>
+      grant.childId === childId && grant.remaining > 0 && !grant.revokedAt &&
+      (grant.expiresAt == null || grant.expiresAt > this.now())
+    );
+  }
+
+  _describe(grant) {
+    let status = 'active';
+    if (grant.revokedAt) {
+      status = 'revoked';
+    } else if (grant.remaining <= 0) {
+      status = 'used';
+    } else if (grant.expiresAt != null && grant.expiresAt <= this.now()) {
+      status = 'expired';
+    }
+
+    return { ...grant, status };
+  }
+
+  _audit(action, grant, minutes) {
+    this.history.push({
+      at: this.now(),
+      action,
+      childId: grant.childId,
+      grantId: grant.id,
+      type: grant.type,
+      minutes,
+      reason: grant.reason
+    });
+  }
+
+  /**
+   * Drop history and finished grants older than `historyDays`
+   */
+  _prune() {
+    const cutoff = this.now() - this.historyDays * MS_PER_DAY;
+    this.history = this.history.filter(entry => entry.at >= cutoff);
+
+    for (const grant of Object.values(this.grants)) {
+      const finished = this._describe(grant).status !== 'active';
+      if (finished && grant.grantedAt < cutoff) {
+        delete this.grants[grant.id];
+      }
+    }
+  }
+}
@@ -0,0 +1,45 @@
+/**
+ * Time Helpers
+ *
+ * Calendar-day helpers shared by the plugin's daily accounting.
+ */
+
+/**
+ * Local calendar day for a timestamp (YYYY-MM-DD)
+ */
+export function dayKey(timestamp) {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Local midnight for a timestamp
+ */
+export function startOfDay(timestamp) {
+  const date = new Date(timestamp);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+/**
+ * Timestamp for a number, Date or date string
+ */
+export function toTimestamp(date) {
+  if (typeof date === 'number') {
+    return date;
+  }
+
+  // Plain dates are local days, not UTC midnight
+  const match = typeof date === 'string' && date.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (match) {
+    return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])).getTime();
+  }
+
+  const timestamp = date instanceof Date ? date.getTime() : Date.parse(date);
+  if (Number.isNaN(timestamp)) {
+    throw new Error(`Invalid date: ${date}`);
+  }
+  return timestamp;
+}
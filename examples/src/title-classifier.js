@@ -0,0 +1,88 @@
+/**
+ * Title Classification
+ *
+ * Decides which Allow2 activity a PSN title counts against, so educational
+ * titles, streaming apps and games can have separate quotas. In order:
+ *
+ * 1. `titles`: explicit map of PSN title ID (or title name) to activity
+ * 2. `categories`: PSN content category (e.g. streaming apps are `VIDEO`)
+ * 3. `genres`: PSN genre
+ * 4. `ageRatings`: minimum age rating to activity, highest match wins
+ *    (e.g. `{ 16: 'mature-gaming' }`)
+ * 5. `defaultActivity` (`gaming`)
+ *
+ * Category and genre maps extend the built-in defaults below.
+ */
+
+export const DEFAULT_ACTIVITY = 'gaming';
+
+export const DEFAULT_CATEGORY_ACTIVITIES = {
+  video: 'streaming',
+  music: 'streaming',
+  tv: 'streaming'
+};
+
+export const DEFAULT_GENRE_ACTIVITIES = {
+  education: 'education',
+  educational: 'education',
+  'brain training': 'education'
+};
+
+export class TitleClassifier {
+  constructor(options = {}) {
+    this.configure(options);
+  }
+
+  /**
+   * Replace the classification maps
+   */
+  configure({ titles = {}, categories = {}, genres = {}, ageRatings = {}, defaultActivity } = {}) {
+    this.titles = normaliseKeys(titles);
+    this.categories = { ...DEFAULT_CATEGORY_ACTIVITIES, ...normaliseKeys(categories) };
+    this.genres = { ...DEFAULT_GENRE_ACTIVITIES, ...normaliseKeys(genres) };
+    this.ageRatings = Object.entries(ageRatings)
+      .map(([age, activity]) => ({ age: Number(age), activity }))
+      .filter(({ age }) => Number.isFinite(age))
+      .sort((a, b) => b.age - a.age);
+    this.defaultActivity = defaultActivity || DEFAULT_ACTIVITY;
+  }
+
+  /**
+   * Allow2 activity for a title
+   * `title` is `{ titleId, name, category, genre, ageRating }`; any field may be missing
+   */
+  classify(title = {}) {
+    const byTitle = this.titles[key(title.titleId)] || this.titles[key(title.name)];
+    if (byTitle) {
+      return byTitle;
+    }
+
+    const byCategory = this.categories[key(title.category)];
+    if (byCategory) {
+      return byCategory;
+    }
+
+    const byGenre = this.genres[key(title.genre)];
+    if (byGenre) {
+      return byGenre;
+    }
+
+    const rating = Number(title.ageRating);
+    if (title.ageRating != null && Number.isFinite(rating)) {
+      const match = this.ageRatings.find(({ age }) => rating >= age);
+      if (match) {
+        return match.activity;
+      }
+    }
+
+    return this.defaultActivity;
+  }
+}
+
+function key(value) {
+  return value == null || value === '' ? null : String(value).trim().toLowerCase();
+}
+
+function normaliseKeys(map) {
+  return Object.fromEntries(Object.entries(map).map(([name, activity]) => [key(name), activity]));
+}
@@ -0,0 +1,125 @@
+/**
+ * Usage Accountant
+ *
+ * Turns successive PSN `todayMinutes` observations into the play time that
+ * still needs reporting to Allow2. Deltas are bounded by the wall-clock time
+ * between observations and by a maximum gap, the daily reset of PSN's
+ * `todayPlayTime` counter is detected, and the per-account baseline can be
+ * persisted so a restart never reports the same minutes twice. Minutes held
+ * back by the wall-clock bound, and wall-clock time no minutes arrived for
+ * (a stale read), carry into later observations; only the backlog beyond
+ * the maximum gap after downtime is dropped. Reported minutes are also
+ * totalled per activity for the day, since PSN's counter covers every title.
+ */
+
+import { dayKey, startOfDay } from './time-utils.js';
+
+const MS_PER_MINUTE = 60000;
+
+export class UsageAccountant {
+  constructor(options = {}) {
+    this.now = options.now || (() => Date.now());
+    this.maxGapMinutes = options.maxGapMinutes || 15;
+
+    // Per-account baseline:
+    // { day, reportedMinutes, observedAt, creditMinutes, activities }
+    this.accounts = {};
+  }
+
+  /**
+   * Record an observation of an account's PSN play time for today
+   * Returns the number of minutes to report since the previous observation,
+   * which count towards `activity`'s total for the day
+   */
+  observe(accountId, todayMinutes, activity = null) {
+    const at = this.now();
+    const day = dayKey(at);
+    const minutes = Math.max(0, Math.floor(todayMinutes || 0));
+    const previous = this.accounts[accountId];
+
+    // First observation only establishes the baseline
+    if (!previous) {
+      this.accounts[accountId] = { day, reportedMinutes: minutes, observedAt: at };
+      return 0;
+    }
+
+    let baseline = previous.reportedMinutes;
+    let elapsedMs = at - previous.observedAt;
+
+    if (day !== previous.day) {
+      // Midnight rollover: only time since midnight counts towards today
+      baseline = 0;
+      elapsedMs = Math.min(elapsedMs, at - startOfDay(at));
+    } else if (minutes < baseline) {
+      // PSN reset its counter without a local date change
+      baseline = 0;
+    }
+
+    const activities = day === previous.day ? { ...previous.activities } : {};
+    const count = reported => {
+      if (activity && reported > 0) {
+        activities[activity] = (activities[activity] || 0) + reported;
+      }
+      return reported;
+    };
+
+    if (elapsedMs <= 0) {
+      this.accounts[accountId] = { day, reportedMinutes: minutes, observedAt: at, activities };
+      return 0;
+    }
+
+    const delta = Math.max(0, minutes - baseline);
+    const elapsedMinutes = Math.ceil(elapsedMs / MS_PER_MINUTE);
+
+    if (delta > this.maxGapMinutes && elapsedMinutes > this.maxGapMinutes) {
+      // Downtime: report at most the maximum gap and drop the backlog
+      this.accounts[accountId] = { day, reportedMinutes: minutes, observedAt: at, activities };
+      return count(this.maxGapMinutes);
+    }
+
+    const credit = day === previous.day ? previous.creditMinutes || 0 : 0;
+    const clockBound = elapsedMinutes + credit;
+    const reported = Math.min(delta, clockBound, this.maxGapMinutes);
+
+    this.accounts[accountId] = {
+      day,
+      reportedMinutes: baseline + reported,
+      observedAt: at,
+      creditMinutes: Math.min(clockBound - reported, this.maxGapMinutes),
+      activities
+    };
+    return count(reported);
+  }
+
+  /**
+   * Minutes reported today for one activity of an account
+   */
+  activityMinutes(accountId, activity) {
+    const account = this.accounts[accountId];
+    if (!account || account.day !== dayKey(this.now())) {
+      return 0;
+    }
+    return (account.activities || {})[activity] || 0;
+  }
+
+  /**
+   * Forget an account's baseline
+   */
+  reset(accountId) {
+    delete this.accounts[accountId];
+  }
+
+  /**
+   * Serialisable state for the session store
+   */
+  toJSON() {
+    return { ...this.accounts };
+  }
+
+  /**
+   * Restore state saved by `toJSON()`
+   */
+  restore(state) {
+    this.accounts = state ? { ...state } : {};
+  }
+}
@@ -0,0 +1,69 @@
+/**
+ * Remaining-Time Warning Tracker
+ *
+ * Decides when a child should be warned that their play time is running out.
+ * Each threshold fires at most once per child per day; when remaining time
+ * drops past several thresholds between checks only the lowest one fires.
+ */
+
+import { dayKey } from './time-utils.js';
+
+export const DEFAULT_WARNING_THRESHOLDS = [15, 5, 1];
+
+export class WarningTracker {
+  constructor(options = {}) {
+    this.now = options.now || (() => Date.now());
+    this.setThresholds(options.thresholds || DEFAULT_WARNING_THRESHOLDS);
+
+    // Per-child state: { day, fired: [threshold, ...] }
+    this.children = {};
+  }
+
+  /**
+   * Replace the warning thresholds (minutes remaining)
+   */
+  setThresholds(thresholds) {
+    this.thresholds = [...new Set(thresholds)]
+      .filter(t => Number.isFinite(t) && t > 0)
+      .sort((a, b) => b - a);
+  }
+
+  /**
+   * Check a child's remaining minutes
+   * Returns the threshold to warn about, or null
+   */
+  check(childId, remaining) {
+    if (remaining == null || remaining <= 0) {
+      return null;
+    }
+
+    const day = dayKey(this.now());
+    let state = this.children[childId];
+    if (!state || state.day !== day) {
+      state = { day, fired: [] };
+      this.children[childId] = state;
+    }
+
+    const crossed = this.thresholds.filter(t => remaining <= t && !state.fired.includes(t));
+    if (crossed.length === 0) {
+      return null;
+    }
+
+    state.fired.push(...crossed);
+    return crossed[crossed.length - 1];
+  }
+
+  /**
+   * Serialisable state for the session store
+   */
+  toJSON() {
+    return { ...this.children };
+  }
+
+  /**
+   * Restore state saved by `toJSON()`
+   */
+  restore(state) {
+    this.children = state ? { ...state } : {};
+  }
+}
@@ -0,0 +1,40 @@
+import { readFileSync } from 'fs';
+import { ACTION_DEFINITIONS, validateActionParams } from '../src/actions.js';
+
+const manifest = JSON.parse(readFileSync(new URL('../../package.json', import.meta.url), 'utf8'));
+
+describe('validateActionParams', () => {
+  test('accepts the documented parameter shapes', () => {
+    expect(validateActionParams('checkQuota', { childId: 'child-1' })).toEqual([]);
+    expect(validateActionParams('disableAccess', { childId: 'child-1', deviceId: 'ps5-1' })).toEqual([]);
+    expect(validateActionParams('reportUsage', {
+      childId: 'child-1',
+      duration: 600,
+      metadata: { title: 'Astro Bot' }
+    })).toEqual([]);
+  });
+
+  test('reports missing and mistyped parameters', () => {
+    expect(validateActionParams('enableAccess', {})).toEqual(['childId is required']);
+    expect(validateActionParams('reportUsage', { childId: 42, duration: -1, metadata: [] })).toEqual([
+      'childId must be a string',
+      'duration must be a non-negative number',
+      'metadata must be an object'
+    ]);
+    expect(validateActionParams('getPlayReport', { childId: 'child-1', period: 'year' })).toEqual([
+      'period must be one of: day, week, month'
+    ]);
+  });
+
+  test('rejects unknown actions and non-object parameters', () => {
+    expect(validateActionParams('launchGame', {})).toEqual(['Unknown action: launchGame']);
+    expect(validateActionParams('checkQuota', null)).toEqual(['Parameters must be an object']);
+    expect(validateActionParams('checkQuota', ['child-1'])).toEqual(['Parameters must be an object']);
+  });
+
+  test('defines every manifest action', () => {
+    const declared = manifest.allow2automate.api.actions.map(action => action.id);
+
+    expect(Object.keys(ACTION_DEFINITIONS).sort()).toEqual(declared.sort());
+  });
+});
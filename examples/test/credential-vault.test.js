@@ -0,0 +1,53 @@
+import crypto from 'crypto';
+import { CredentialVault } from '../src/credential-vault.js';
+
+const CREDENTIALS = {
+  npsso: 'npsso-secret-value',
+  refreshToken: 'refresh-secret-value',
+  refreshTokenExpiry: 1718000000000
+};
+
+describe('CredentialVault', () => {
+  test('round-trips credentials with a host-supplied key', () => {
+    const vault = new CredentialVault({ key: crypto.randomBytes(32) });
+
+    const envelope = vault.seal(CREDENTIALS);
+
+    expect(JSON.stringify(envelope)).not.toContain('secret-value');
+    expect(vault.open(envelope)).toEqual(CREDENTIALS);
+  });
+
+  test('accepts hex and base64 keys', () => {
+    const key = crypto.randomBytes(32);
+    const envelope = new CredentialVault({ key: key.toString('hex') }).seal(CREDENTIALS);
+
+    expect(new CredentialVault({ key: key.toString('base64') }).open(envelope)).toEqual(CREDENTIALS);
+  });
+
+  test('derives the key from a passphrase with a per-envelope salt', () => {
+    const vault = new CredentialVault({ passphrase: 'correct horse battery staple' });
+
+    const first = vault.seal(CREDENTIALS);
+    const second = vault.seal(CREDENTIALS);
+
+    expect(first.salt).not.toEqual(second.salt);
+    expect(new CredentialVault({ passphrase: 'correct horse battery staple' }).open(first)).toEqual(CREDENTIALS);
+  });
+
+  test('rejects the wrong key and tampered envelopes', () => {
+    const envelope = new CredentialVault({ key: crypto.randomBytes(32) }).seal(CREDENTIALS);
+
+    expect(() => new CredentialVault({ key: crypto.randomBytes(32) }).open(envelope))
+      .toThrow('Could not decrypt credentials');
+
+    const vault = new CredentialVault({ passphrase: 'secret' });
+    const sealed = vault.seal(CREDENTIALS);
+    const tampered = { ...sealed, ciphertext: Buffer.from('tampered').toString('base64') };
+    expect(() => vault.open(tampered)).toThrow('Could not decrypt credentials');
+  });
+
+  test('requires a 32-byte key or a passphrase', () => {
+    expect(() => new CredentialVault()).toThrow('requires an encryption key or passphrase');
+    expect(() => new CredentialVault({ key: crypto.randomBytes(16) })).toThrow('must be 32 bytes');
+  });
+});
@@ -0,0 +1,43 @@
+import { DecisionLog } from '../src/decision-log.js';
+
+describe('DecisionLog', () => {
+  let now;
+  let log;
+
+  beforeEach(() => {
+    now = 1000;
+    log = new DecisionLog({ now: () => now, maxEntries: 3 });
+  });
+
+  test('lists decisions newest first, filtered by child and time', () => {
+    log.record({ childId: 'a', action: 'allow', reason: 'Quota available' });
+    now = 2000;
+    log.record({ childId: 'b', action: 'suspend', reason: 'Quota used up', dryRun: true });
+    now = 3000;
+    log.record({ childId: 'a', action: 'suspend', reason: 'Outside scheduled hours' });
+
+    expect(log.list().map(e => e.at)).toEqual([3000, 2000, 1000]);
+    expect(log.list({ childId: 'a' }).map(e => e.action)).toEqual(['suspend', 'allow']);
+    expect(log.list({ since: 2000, limit: 1 })).toEqual([
+      { at: 3000, childId: 'a', accountId: null, action: 'suspend', reason: 'Outside scheduled hours', details: {}, dryRun: false }
+    ]);
+  });
+
+  test('keeps only the most recent entries', () => {
+    for (let i = 0; i < 5; i++) {
+      now = i;
+      log.record({ childId: 'a', action: 'allow', reason: `tick ${i}` });
+    }
+
+    expect(log.list().map(e => e.reason)).toEqual(['tick 4', 'tick 3', 'tick 2']);
+  });
+
+  test('round-trips through toJSON/restore', () => {
+    log.record({ childId: 'a', action: 'resume', reason: 'Quota available', details: { remaining: 30 } });
+
+    const restored = new DecisionLog({ now: () => now });
+    restored.restore(JSON.parse(JSON.stringify(log.toJSON())));
+
+    expect(restored.list()).toEqual(log.list());
+  });
+});
@@ -0,0 +1,61 @@
+import { DeviceRegistry } from '../src/device-registry.js';
+
+describe('DeviceRegistry', () => {
+  let now;
+  let registry;
+
+  beforeEach(() => {
+    now = new Date(2024, 5, 10, 15, 0, 0).getTime();
+    registry = new DeviceRegistry({ now: () => now });
+  });
+
+  test('records consoles and the accounts seen on them', () => {
+    registry.observe('kid-1', { deviceId: 'ps5-1', platform: 'PS5' });
+    now += 60000;
+    registry.observe('kid-2', { deviceId: 'ps5-1' });
+
+    expect(registry.get('ps5-1')).toEqual({
+      deviceId: 'ps5-1',
+      platform: 'PS5',
+      accountIds: ['kid-1', 'kid-2'],
+      lastSeenAt: now,
+      name: null
+    });
+  });
+
+  test('names devices, runtime names winning over configured ones', () => {
+    registry.name('ps4-1', 'Bedroom PS4');
+    registry.setNames({ 'ps4-1': 'PS4', 'ps5-1': 'Living room' });
+
+    expect(registry.list().map(d => [d.deviceId, d.name])).toEqual([
+      ['ps4-1', 'Bedroom PS4'],
+      ['ps5-1', 'Living room']
+    ]);
+
+    registry.name('ps4-1', null);
+    expect(registry.get('ps4-1').name).toBeNull();
+  });
+
+  test('disables and re-enables consoles per child', () => {
+    registry.disable('child-1', 'ps4-1');
+    registry.disable('child-1', 'ps4-1');
+
+    expect(registry.disabledFor('child-1')).toEqual(['ps4-1']);
+    expect(registry.disabledFor('child-2')).toEqual([]);
+
+    registry.enable('child-1', 'ps4-1');
+    expect(registry.disabledFor('child-1')).toEqual([]);
+  });
+
+  test('round-trips through toJSON/restore', () => {
+    registry.observe('kid-1', { deviceId: 'ps5-1', platform: 'PS5' });
+    registry.name('ps5-1', 'Living room');
+    registry.disable('child-1', 'ps5-1');
+
+    const restored = new DeviceRegistry({ now: () => now });
+    restored.restore(JSON.parse(JSON.stringify(registry.toJSON())));
+
+    expect(restored.get('ps5-1')).toMatchObject({ platform: 'PS5', name: 'Living room' });
+    expect(restored.disabledFor('child-1')).toEqual(['ps5-1']);
+  });
+});
@@ -0,0 +1,81 @@
+import {
+  createPSNError,
+  PSNError,
+  AuthError,
+  AuthExpiredError,
+  RateLimitError,
+  NotFoundError,
+  PermissionError,
+  ValidationError,
+  NetworkError
+} from '../src/errors.js';
+
+function httpError(status, data = null, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers, data };
+  return error;
+}
+
+describe('createPSNError', () => {
+  test.each([
+    [401, AuthError, false],
+    [403, PermissionError, false],
+    [404, NotFoundError, false],
+    [409, ValidationError, false],
+    [429, RateLimitError, true],
+    [503, NetworkError, true],
+    [418, PSNError, false]
+  ])('classifies HTTP %i', (status, Type, retryable) => {
+    const error = createPSNError('Failed', httpError(status));
+
+    expect(error).toBeInstanceOf(Type);
+    expect(error).toBeInstanceOf(PSNError);
+    expect(error).toMatchObject({ status, retryable });
+  });
+
+  test('keeps the PSN error body, code and endpoint', () => {
+    const body = { error: { code: 'account_not_found', message: 'Unknown account' } };
+
+    const error = createPSNError('Failed to get play time', httpError(404, body), {
+      method: 'GET',
+      endpoint: '/users/kid/playTime'
+    });
+
+    expect(error).toMatchObject({
+      status: 404,
+      body,
+      psnCode: 'account_not_found',
+      method: 'GET',
+      endpoint: '/users/kid/playTime'
+    });
+  });
+
+  test('reads Retry-After on rate limits', () => {
+    const error = createPSNError('Failed', httpError(429, null, { 'retry-after': '2' }));
+    expect(error.retryAfterMs).toBe(2000);
+  });
+
+  test('treats dropped connections as transient', () => {
+    const reset = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+
+    expect(createPSNError('Failed', reset)).toBeInstanceOf(NetworkError);
+    expect(createPSNError('Failed', new TypeError('bad body'))).toMatchObject({ name: 'PSNError', retryable: false });
+  });
+
+  test('re-wraps PSN errors without losing their class or details', () => {
+    const original = createPSNError('GET failed', httpError(404), { method: 'GET', endpoint: '/families' });
+
+    const wrapped = createPSNError(`Failed to list child accounts: ${original.message}`, original);
+
+    expect(wrapped).toBeInstanceOf(NotFoundError);
+    expect(wrapped).toMatchObject({ status: 404, endpoint: '/families', cause: original });
+    expect(wrapped.message).toBe('Failed to list child accounts: GET failed');
+  });
+
+  test('passes AuthExpiredError through untouched', () => {
+    const expired = new AuthExpiredError('NPSSO rejected', { status: 400 });
+
+    expect(createPSNError('Failed', expired)).toBe(expired);
+    expect(expired).toBeInstanceOf(AuthError);
+  });
+});
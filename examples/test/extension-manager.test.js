@@ -0,0 +1,65 @@
+import { ExtensionManager } from '../src/extension-manager.js';
+
+const MINUTE = 60000;
+
+describe('ExtensionManager', () => {
+  let now;
+  let manager;
+
+  beforeEach(() => {
+    now = new Date(2024, 5, 10, 18, 0, 0).getTime();
+    manager = new ExtensionManager({ now: () => now, maxExtensionMinutes: 15, maxExtensionsPerDay: 1 });
+  });
+
+  test('approved extensions run for the requested minutes', () => {
+    const request = manager.request('kid', 10, 'Finishing a match');
+    expect(request.status).toBe('pending');
+    expect(manager.activeExtension('kid')).toBeNull();
+
+    manager.approve(request.id);
+    expect(manager.activeExtension('kid').id).toBe(request.id);
+
+    now += 10 * MINUTE;
+    expect(manager.activeExtension('kid')).toBeNull();
+    expect(manager.hasExpired('kid')).toBe(true);
+
+    manager.markEnforced('kid');
+    expect(manager.hasExpired('kid')).toBe(false);
+  });
+
+  test('rejects extensions longer than the cap', () => {
+    expect(() => manager.request('kid', 30)).toThrow('limited to 15 minutes');
+  });
+
+  test('cannot be chained', () => {
+    const first = manager.request('kid', 10);
+    expect(() => manager.request('kid', 5)).toThrow('already has an open extension');
+
+    manager.approve(first.id);
+    expect(() => manager.request('kid', 5)).toThrow('already has an active extension');
+
+    now += 11 * MINUTE;
+    expect(() => manager.request('kid', 5)).toThrow('used all extensions for today');
+
+    now = new Date(2024, 5, 11, 18, 0, 0).getTime();
+    expect(manager.request('kid', 5).status).toBe('pending');
+  });
+
+  test('denied requests free the child to ask again', () => {
+    const request = manager.request('kid', 10);
+    manager.deny(request.id);
+
+    expect(() => manager.approve(request.id)).toThrow('already denied');
+    expect(manager.request('kid', 10).status).toBe('pending');
+  });
+
+  test('survives a restart', () => {
+    const request = manager.request('kid', 10);
+    manager.approve(request.id);
+
+    const restarted = new ExtensionManager({ now: () => now, maxExtensionMinutes: 15 });
+    restarted.restore(JSON.parse(JSON.stringify(manager.toJSON())));
+
+    expect(restarted.activeExtension('kid').id).toBe(request.id);
+  });
+});
@@ -0,0 +1,71 @@
+import { GameBudgetTracker } from '../src/game-budgets.js';
+
+const FORTNITE = { title: 'Fortnite', titleId: 'CUSA07669', dailyMinutes: 60 };
+const MINECRAFT = { title: 'Minecraft', titleId: 'CUSA00744', dailyMinutes: null };
+
+describe('GameBudgetTracker', () => {
+  let now;
+  let tracker;
+
+  beforeEach(() => {
+    now = new Date(2024, 5, 10, 15, 0, 0).getTime();
+    tracker = new GameBudgetTracker({ now: () => now });
+  });
+
+  test('tracks minutes by title ID or, failing that, by name', () => {
+    tracker.record('kid', { game: 'Fortnite', gameId: 'CUSA07669', minutes: 20 });
+    tracker.record('kid', { game: 'fortnite ', minutes: 10 });
+
+    expect(tracker.usedMinutes('kid', FORTNITE)).toBe(30);
+    expect(tracker.usedMinutes('sibling', FORTNITE)).toBe(0);
+  });
+
+  test('reports budgets that ran out, never unlimited ones', () => {
+    tracker.record('kid', { game: 'Fortnite', minutes: 59 });
+    tracker.record('kid', { game: 'Minecraft', minutes: 500 });
+    expect(tracker.exhausted('kid', [FORTNITE, MINECRAFT])).toEqual([]);
+
+    tracker.record('kid', { game: 'Fortnite', minutes: 1 });
+    expect(tracker.exhausted('kid', [FORTNITE, MINECRAFT])).toEqual([FORTNITE]);
+
+    tracker.markBlocked('kid', FORTNITE.titleId);
+    expect(tracker.exhausted('kid', [FORTNITE, MINECRAFT])).toEqual([]);
+  });
+
+  test('resets usage and releases blocks on the next day', () => {
+    tracker.record('kid', { game: 'Fortnite', minutes: 60 });
+    tracker.markBlocked('kid', FORTNITE.titleId);
+    expect(tracker.expiredBlocks()).toEqual([]);
+
+    now += 24 * 60 * 60 * 1000;
+
+    expect(tracker.usedMinutes('kid', FORTNITE)).toBe(0);
+    expect(tracker.expiredBlocks()).toEqual([{ accountId: 'kid', titleId: FORTNITE.titleId }]);
+
+    tracker.markUnblocked('kid', FORTNITE.titleId);
+    expect(tracker.expiredBlocks()).toEqual([]);
+  });
+
+  test('remembers dry-run reports until the next day', () => {
+    tracker.markReported('kid', FORTNITE.titleId);
+    expect(tracker.isReported('kid', FORTNITE.titleId)).toBe(true);
+    expect(tracker.isReported('sibling', FORTNITE.titleId)).toBe(false);
+
+    now += 24 * 60 * 60 * 1000;
+
+    expect(tracker.isReported('kid', FORTNITE.titleId)).toBe(false);
+  });
+
+  test('round-trips through toJSON/restore', () => {
+    tracker.record('kid', { game: 'Fortnite', minutes: 25 });
+    tracker.markBlocked('kid', 'CUSA00001');
+    tracker.markReported('kid', 'CUSA00002');
+
+    const restored = new GameBudgetTracker({ now: () => now });
+    restored.restore(JSON.parse(JSON.stringify(tracker.toJSON())));
+
+    expect(restored.usedMinutes('kid', FORTNITE)).toBe(25);
+    expect(restored.isBlocked('kid', 'CUSA00001')).toBe(true);
+    expect(restored.isReported('kid', 'CUSA00002')).toBe(true);
+  });
+});
@@ -0,0 +1,71 @@
+import { HouseholdPool } from '../src/household-pool.js';
+
+describe('HouseholdPool', () => {
+  let now;
+  let pool;
+
+  beforeEach(() => {
+    now = new Date(2024, 5, 10, 15, 0, 0).getTime();
+    pool = new HouseholdPool({ now: () => now, dailyMinutes: 60 });
+  });
+
+  test('is disabled without a daily budget', () => {
+    const disabled = new HouseholdPool({ now: () => now });
+    disabled.record('kid', 500);
+
+    expect(disabled.enabled).toBe(false);
+    expect(disabled.includes('kid')).toBe(false);
+    expect(disabled.exhausted()).toBe(false);
+    expect(disabled.remainingMinutes()).toBeNull();
+  });
+
+  test('shares one budget across children and reports each share', () => {
+    pool.record('kid-1', 25);
+    pool.record('kid-2', 20);
+    expect(pool.exhausted()).toBe(false);
+
+    pool.record('kid-1', 15);
+
+    expect(pool.exhausted()).toBe(true);
+    expect(pool.report()).toEqual({
+      day: '2024-06-10',
+      dailyMinutes: 60,
+      usedMinutes: 60,
+      remainingMinutes: 0,
+      exhausted: true,
+      byChild: { 'kid-1': 40, 'kid-2': 20 }
+    });
+  });
+
+  test('only counts the configured children', () => {
+    pool.configure({ dailyMinutes: 60, children: ['kid-1'] });
+    pool.record('kid-2', 90);
+
+    expect(pool.includes('kid-2')).toBe(false);
+    expect(pool.usedMinutes()).toBe(0);
+  });
+
+  test('refills and reports renewal on the next day', () => {
+    pool.record('kid-1', 60);
+    pool.markEnforced();
+    expect(pool.renewed()).toBe(false);
+
+    now += 24 * 60 * 60 * 1000;
+
+    expect(pool.exhausted()).toBe(false);
+    expect(pool.renewed()).toBe(true);
+    pool.clearEnforced();
+    expect(pool.renewed()).toBe(false);
+  });
+
+  test('round-trips through toJSON/restore', () => {
+    pool.record('kid-1', 30);
+    pool.markEnforced();
+
+    const restored = new HouseholdPool({ now: () => now, dailyMinutes: 60 });
+    restored.restore(JSON.parse(JSON.stringify(pool.toJSON())));
+
+    expect(restored.report().byChild).toEqual({ 'kid-1': 30 });
+    expect(restored.enforcedDay).toBe('2024-06-10');
+  });
+});
@@ -0,0 +1,65 @@
+import { jest } from '@jest/globals';
+import { createLogger } from '../src/logger.js';
+import { registerSecret, REDACTED } from '../src/redact.js';
+
+const NOW = new Date('2024-06-10T15:00:00Z');
+
+describe('Logger', () => {
+  let entries;
+  let logger;
+
+  beforeEach(() => {
+    entries = [];
+    logger = createLogger({ level: 'info', sink: entry => entries.push(entry), now: () => NOW });
+  });
+
+  test('sends structured entries to the sink', () => {
+    logger.info('Suspending session', { accountId: 'kid-1' });
+
+    expect(entries).toEqual([{
+      timestamp: '2024-06-10T15:00:00.000Z',
+      level: 'info',
+      message: 'Suspending session',
+      accountId: 'kid-1'
+    }]);
+  });
+
+  test('filters by level, shared with child loggers', () => {
+    const child = logger.child({ component: 'PSN API' });
+
+    child.debug('hidden');
+    logger.setLevel('debug');
+    child.debug('shown');
+
+    expect(entries.map(e => e.message)).toEqual(['shown']);
+    expect(() => logger.setLevel('verbose')).toThrow('Log level must be one of');
+  });
+
+  test('child loggers add context fields', () => {
+    logger.child({ component: 'PlayStation Plugin' }).child({ childId: 'child-1' }).warn('Quota exhausted');
+
+    expect(entries[0]).toMatchObject({ component: 'PlayStation Plugin', childId: 'child-1', level: 'warn' });
+  });
+
+  test('serialises errors and redacts secrets', () => {
+    registerSecret('logger-test-npsso');
+    const error = Object.assign(new Error('rejected logger-test-npsso'), { status: 400 });
+
+    logger.error('Authentication failed', { error, body: 'npsso=abc123' });
+
+    expect(entries[0].error).toMatchObject({ name: 'Error', message: `rejected ${REDACTED}`, status: 400 });
+    expect(entries[0].body).toBe(`npsso=${REDACTED}`);
+    expect(JSON.stringify(entries)).not.toContain('logger-test-npsso');
+  });
+
+  test('writes text or JSON lines to the console by default', () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    createLogger({ now: () => NOW }).child({ component: 'PSN API' }).info('Blocking game', { gameId: 'CUSA1' });
+    createLogger({ json: true, now: () => NOW }).info('Loaded');
+
+    expect(log.mock.calls[0][0]).toBe('[PSN API] Blocking game gameId=CUSA1');
+    expect(JSON.parse(log.mock.calls[1][0])).toMatchObject({ level: 'info', message: 'Loaded' });
+    log.mockRestore();
+  });
+});
@@ -0,0 +1,86 @@
+import { OfflineQuotaCache, UsageBuffer } from '../src/offline-quota.js';
+
+describe('OfflineQuotaCache', () => {
+  let now;
+  let cache;
+
+  beforeEach(() => {
+    now = new Date(2024, 5, 10, 15, 0, 0).getTime();
+    cache = new OfflineQuotaCache({ now: () => now });
+  });
+
+  test('estimates remaining time from play since the cached response', () => {
+    cache.record('kid', 'gaming', { allowed: true, remaining: 30, dayType: 'school', playTime: 60 });
+
+    expect(cache.estimate('kid', 'gaming', 75)).toEqual({
+      allowed: true,
+      remaining: 15,
+      dayType: 'school',
+      cachedAt: now
+    });
+  });
+
+  test('denies once the cached allowance has been played', () => {
+    cache.record('kid', 'gaming', { allowed: true, remaining: 30, playTime: 60 });
+
+    const estimate = cache.estimate('kid', 'gaming', 95);
+    expect(estimate.allowed).toBe(false);
+    expect(estimate.remaining).toBe(0);
+  });
+
+  test('keeps allowing children without a limit', () => {
+    cache.record('kid', 'gaming', { allowed: true, remaining: null, playTime: 60 });
+
+    expect(cache.estimate('kid', 'gaming', 300)).toMatchObject({ allowed: true, remaining: null });
+  });
+
+  test('ignores responses cached on a previous day', () => {
+    cache.record('kid', 'gaming', { allowed: true, remaining: 30, playTime: 60 });
+
+    now = new Date(2024, 5, 11, 9, 0, 0).getTime();
+    expect(cache.estimate('kid', 'gaming', 0)).toBeNull();
+  });
+
+  test('keeps activities separate', () => {
+    cache.record('kid', 'gaming', { allowed: true, remaining: 30, playTime: 0 });
+    expect(cache.estimate('kid', 'education', 0)).toBeNull();
+  });
+});
+
+describe('UsageBuffer', () => {
+  test('flushes entries in order', async () => {
+    const buffer = new UsageBuffer();
+    buffer.add('kid', 'gaming', 2);
+    buffer.add('kid', 'gaming', 3);
+
+    const sent = [];
+    await expect(buffer.flush(async entry => sent.push(entry.time))).resolves.toBe(2);
+    expect(sent).toEqual([2, 3]);
+    expect(buffer.size).toBe(0);
+  });
+
+  test('keeps unsent entries when a flush fails', async () => {
+    const buffer = new UsageBuffer();
+    buffer.add('kid', 'gaming', 2);
+    buffer.add('kid', 'gaming', 3);
+
+    let calls = 0;
+    const log = async () => {
+      if (++calls === 2) {
+        throw new Error('offline');
+      }
+    };
+
+    await expect(buffer.flush(log)).rejects.toThrow('offline');
+    expect(buffer.toJSON().map(e => e.time)).toEqual([3]);
+  });
+
+  test('drops the oldest entries beyond the limit', () => {
+    const buffer = new UsageBuffer({ maxEntries: 2 });
+    buffer.add('kid', 'gaming', 1);
+    buffer.add('kid', 'gaming', 2);
+    buffer.add('kid', 'gaming', 3);
+
+    expect(buffer.toJSON().map(e => e.time)).toEqual([2, 3]);
+  });
+});
@@ -0,0 +1,117 @@
+import { PlayHistory } from '../src/play-history.js';
+
+const MINUTE = 60000;
+
+function createClock(start) {
+  let now = start.getTime();
+  return {
+    now: () => now,
+    advance: (ms) => { now += ms; },
+    set: (date) => { now = date.getTime(); }
+  };
+}
+
+describe('PlayHistory', () => {
+  let clock;
+  let history;
+
+  beforeEach(() => {
+    clock = createClock(new Date(2024, 5, 10, 15, 0, 0)); // Monday
+    history = new PlayHistory({ now: clock.now });
+  });
+
+  function play(game, minutes, childId = 'kid') {
+    clock.advance(minutes * MINUTE);
+    return history.record(childId, { accountId: `${childId}-psn`, game, minutes });
+  }
+
+  test('merges consecutive observations of the same game', () => {
+    play('Astro Bot', 1);
+    play('Astro Bot', 1);
+    play('Gran Turismo 7', 1);
+
+    expect(history.segments.map(s => [s.game, s.minutes])).toEqual([
+      ['Astro Bot', 2],
+      ['Gran Turismo 7', 1]
+    ]);
+  });
+
+  test('starts a new segment after a gap', () => {
+    play('Astro Bot', 5);
+    clock.advance(30 * MINUTE);
+    play('Astro Bot', 5);
+
+    expect(history.segments).toHaveLength(2);
+    expect(history.record('kid', { game: 'Astro Bot', minutes: 0 })).toBeNull();
+  });
+
+  test('reports a day by game and hour of day', () => {
+    play('Astro Bot', 30); // 15:00-15:30
+    play('Gran Turismo 7', 45); // 15:30-16:15
+    play('Astro Bot', 10, 'sibling');
+
+    const report = history.report('kid', { period: 'day' });
+
+    expect(report.totalMinutes).toBe(75);
+    expect(report.byGame).toEqual([
+      { game: 'Gran Turismo 7', minutes: 45, sessions: 1 },
+      { game: 'Astro Bot', minutes: 30, sessions: 1 }
+    ]);
+    expect(report.byHour[15]).toBe(60);
+    expect(report.byHour[16]).toBe(15);
+    expect(report.byDay).toEqual({ '2024-06-10': 75 });
+  });
+
+  test('reports weeks from Monday and months from the first', () => {
+    play('Astro Bot', 20);
+    clock.set(new Date(2024, 5, 16, 10, 0, 0)); // Sunday, same week
+    play('Astro Bot', 20);
+    clock.set(new Date(2024, 5, 17, 10, 0, 0)); // next Monday
+    play('Astro Bot', 20);
+
+    expect(history.report('kid', { period: 'week', date: '2024-06-12' })).toMatchObject({
+      totalMinutes: 40,
+      byDay: { '2024-06-10': 20, '2024-06-16': 20 }
+    });
+    expect(history.report('kid', { period: 'month', date: '2024-06-30' }).totalMinutes).toBe(60);
+    expect(() => history.report('kid', { period: 'year' })).toThrow('Report period must be one of');
+  });
+
+  test('splits segments that cross midnight', () => {
+    clock.set(new Date(2024, 5, 10, 23, 30, 0));
+    play('Astro Bot', 60);
+
+    expect(history.report('kid', { period: 'day', date: '2024-06-10' }).totalMinutes).toBe(30);
+    expect(history.report('kid', { period: 'day', date: '2024-06-11' }).byHour[0]).toBe(30);
+  });
+
+  test('exports CSV and JSON', () => {
+    play('Ratchet, Clank', 15);
+
+    const csv = history.export({ format: 'csv' }).split('\n');
+    expect(csv[0]).toBe('childId,accountId,game,start,end,minutes');
+    expect(csv[1]).toMatch(/^kid,kid-psn,"Ratchet, Clank",\S+,\S+,15$/);
+
+    const json = JSON.parse(history.export({ format: 'json', childId: 'kid' }));
+    expect(json[0]).toMatchObject({ game: 'Ratchet, Clank', minutes: 15 });
+    expect(history.export({ format: 'json', childId: 'other' })).toBe('[]');
+    expect(() => history.export({ format: 'xml' })).toThrow('Export format must be one of');
+  });
+
+  test('drops history older than the retention period', () => {
+    play('Astro Bot', 10);
+    clock.advance(100 * 24 * 60 * MINUTE);
+    play('Astro Bot', 10);
+
+    expect(history.segments).toHaveLength(1);
+  });
+
+  test('round-trips through toJSON/restore', () => {
+    play('Astro Bot', 10);
+
+    const restored = new PlayHistory({ now: clock.now });
+    restored.restore(JSON.parse(JSON.stringify(history.toJSON())));
+
+    expect(restored.report('kid', { period: 'day' }).totalMinutes).toBe(10);
+  });
+});
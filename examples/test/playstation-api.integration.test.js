@@ -0,0 +1,296 @@
+import { PlayStationAPI } from '../src/playstation-api.js';
+import { AuthExpiredError, NotFoundError, RateLimitError } from '../src/errors.js';
+import { redact, REDACTED } from '../src/redact.js';
+import { MockPSNServer } from './support/mock-psn-server.js';
+
+describe('PlayStationAPI against the mock PSN server', () => {
+  let server;
+  let api;
+
+  beforeEach(async () => {
+    server = new MockPSNServer({ npsso: 'valid-npsso' });
+    await server.start();
+
+    server.addChild({
+      accountId: 'kid-1',
+      displayName: 'Kid One',
+      age: 9,
+      playTime: { todayPlayTime: 42, weekPlayTime: 180, status: 'online', currentTitle: 'Astro Bot' },
+      playTimeSettings: { dailyPlayTimeLimit: 90, enabled: true, bedtime: '20:00' }
+    });
+
+    api = new PlayStationAPI({
+      npsso: 'valid-npsso',
+      baseURL: server.url,
+      authURL: server.url,
+      retry: { baseDelayMs: 5, maxDelayMs: 20 }
+    });
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  describe('authentication', () => {
+    test('exchanges the NPSSO for access and refresh tokens', async () => {
+      await expect(api.authenticate()).resolves.toBe(true);
+
+      expect(api.accessToken).toBe('access-1');
+      expect(api.refreshToken).toBe('refresh-1');
+      expect(api.tokenExpiry).toBeGreaterThan(Date.now());
+
+      const [tokenRequest] = server.requestsTo('POST', '/oauth/token');
+      expect(tokenRequest.body).toContain('grant_type=npsso_code');
+    });
+
+    test('rejects an invalid NPSSO', async () => {
+      api.npsso = 'wrong';
+      await expect(api.authenticate()).rejects.toThrow(AuthExpiredError);
+    });
+
+    test('shares one refresh between concurrent requests', async () => {
+      await api.authenticate();
+      api.tokenExpiry = Date.now() + 1000;
+
+      await Promise.all([
+        api.getPlayTime('kid-1'),
+        api.getRestrictedContent('kid-1'),
+        api.getParentalControls('kid-1')
+      ]);
+
+      expect(server.requestsTo('POST', '/oauth/token')).toHaveLength(2);
+    });
+
+    test('refreshes the access token with the refresh token', async () => {
+      await api.authenticate();
+      await api.refreshAccessToken();
+
+      expect(api.accessToken).toBe('access-2');
+      const [, refreshRequest] = server.requestsTo('POST', '/oauth/token');
+      expect(refreshRequest.body).toContain('grant_type=refresh_token');
+
+      // Only the current access token stays registered for redaction
+      expect(redact('access-1 access-2')).toBe(`access-1 ${REDACTED}`);
+    });
+
+    test('refreshes before API calls when the token is about to expire', async () => {
+      await api.authenticate();
+      api.tokenExpiry = Date.now() + 1000;
+
+      await api.getPlayTime('kid-1');
+
+      expect(api.accessToken).toBe('access-2');
+    });
+
+    test('falls back to the NPSSO when the refresh token is rejected', async () => {
+      await api.authenticate();
+      api.refreshToken = 'stale';
+
+      await api.refreshAccessToken();
+
+      expect(server.requestsTo('POST', '/oauth/token')).toHaveLength(3);
+      expect(api.accessToken).toBe('access-2');
+    });
+  });
+
+  describe('family management', () => {
+    beforeEach(async () => {
+      await api.authenticate();
+    });
+
+    test('lists child accounts only', async () => {
+      const children = await api.listChildAccounts();
+
+      expect(children).toEqual([{
+        accountId: 'kid-1',
+        displayName: 'Kid One',
+        age: 9,
+        restrictions: { playTimeSettings: { dailyPlayTimeLimit: 90, enabled: true, bedtime: '20:00' } }
+      }]);
+    });
+
+    test('maps play time', async () => {
+      await expect(api.getPlayTime('kid-1')).resolves.toEqual({
+        accountId: 'kid-1',
+        todayMinutes: 42,
+        weekMinutes: 180,
+        currentlyPlaying: true,
+        currentGame: 'Astro Bot',
+        currentGameId: null,
+        currentGameCategory: null,
+        currentGameGenre: null,
+        currentGameAgeRating: null,
+        lastPlayed: null
+      });
+    });
+
+    test('maps presence to the console in use', async () => {
+      server.setPresence('kid-1', { platform: 'ps5', deviceId: 'ps5-0001' });
+
+      await expect(api.getPresence('kid-1')).resolves.toEqual({
+        accountId: 'kid-1',
+        online: true,
+        platform: 'PS5',
+        deviceId: 'ps5-0001',
+        currentGame: 'Astro Bot',
+        currentGameId: null,
+        lastOnline: null
+      });
+    });
+
+    test('caches play time between polls', async () => {
+      await api.getPlayTime('kid-1');
+      await api.getPlayTime('kid-1');
+
+      expect(server.requestsTo('GET', '/playTime')).toHaveLength(1);
+
+      await api.getPlayTime('kid-1', { fresh: true });
+      expect(server.requestsTo('GET', '/playTime')).toHaveLength(2);
+    });
+
+    test('sets the daily play time limit', async () => {
+      await api.setPlayTimeLimit('kid-1', 0);
+
+      expect(server.children['kid-1'].playTimeSettings).toEqual({ dailyPlayTimeLimit: 0, enabled: false });
+    });
+
+    test('restores full play time settings', async () => {
+      await api.setPlayTimeSettings('kid-1', { dailyPlayTimeLimit: 45, enabled: true, bedtime: '19:30' });
+
+      const controls = await api.getParentalControls('kid-1');
+      expect(controls.playTimeSettings).toEqual({ dailyPlayTimeLimit: 45, enabled: true, bedtime: '19:30' });
+    });
+
+    test('blocks, lists and unblocks games', async () => {
+      await api.blockGame('kid-1', 'CUSA00001');
+      await expect(api.getRestrictedContent('kid-1')).resolves.toEqual([
+        { contentId: 'CUSA00001', type: 'game' }
+      ]);
+
+      await api.unblockGame('kid-1', 'CUSA00001');
+      await expect(api.getRestrictedContent('kid-1')).resolves.toEqual([]);
+    });
+
+    test('sends console messages', async () => {
+      await api.sendMessage('kid-1', '5 minutes left');
+      expect(server.children['kid-1'].messages).toEqual(['5 minutes left']);
+    });
+
+    test('spaces queued requests by the rate limit', async () => {
+      const started = Date.now();
+      await Promise.all([
+        api.getRestrictedContent('kid-1'),
+        api.getRestrictedContent('kid-1'),
+        api.getRestrictedContent('kid-1')
+      ]);
+
+      expect(Date.now() - started).toBeGreaterThanOrEqual(2 * api.RATE_LIMIT_MS);
+    });
+  });
+
+  describe('injected failures', () => {
+    beforeEach(async () => {
+      await api.authenticate();
+    });
+
+    test('re-authenticates and replays requests after a 401', async () => {
+      server.revokeAccessTokens();
+
+      await Promise.all([
+        expect(api.getPlayTime('kid-1')).resolves.toMatchObject({ todayMinutes: 42 }),
+        expect(api.getRestrictedContent('kid-1')).resolves.toEqual([])
+      ]);
+
+      const tokenRequests = server.requestsTo('POST', '/oauth/token');
+      expect(tokenRequests).toHaveLength(2);
+      expect(tokenRequests[1].body).toContain('grant_type=refresh_token');
+    });
+
+    test('replays a request only once', async () => {
+      server.failNext({ method: 'GET', path: '/playTime' }, { status: 401, times: 2 });
+
+      await expect(api.getPlayTime('kid-1')).rejects.toThrow('status code 401');
+      expect(server.requestsTo('GET', '/playTime')).toHaveLength(2);
+    });
+
+    test('raises AuthExpiredError when the NPSSO is dead', async () => {
+      server.expireCredentials();
+
+      await expect(api.getPlayTime('kid-1')).rejects.toThrow(AuthExpiredError);
+    });
+
+    test('retries 429 responses after Retry-After', async () => {
+      server.failNext({ method: 'GET', path: '/playTime' }, {
+        status: 429,
+        headers: { 'Retry-After': '1' },
+        body: { error: { code: 'rate_limited' } }
+      });
+
+      const started = Date.now();
+      await expect(api.getPlayTime('kid-1')).resolves.toMatchObject({ todayMinutes: 42 });
+
+      expect(Date.now() - started).toBeGreaterThanOrEqual(1000);
+      expect(server.requestsTo('GET', '/playTime')).toHaveLength(2);
+      expect(api.rateLimiter.intervalMs).toBeGreaterThan(api.RATE_LIMIT_MS);
+    });
+
+    test('gives up after the maximum number of retries', async () => {
+      server.failNext({ method: 'GET', path: '/playTime' }, { status: 429, times: 10 });
+
+      await expect(api.getPlayTime('kid-1')).rejects.toThrow(RateLimitError);
+      expect(server.requestsTo('GET', '/playTime')).toHaveLength(4);
+    });
+
+    test('retries idempotent requests on 5xx responses', async () => {
+      server.failNext({ method: 'PUT', path: '/playTimeSettings' }, { status: 503 });
+      server.failNext({ method: 'PUT', path: '/playTimeSettings' }, { status: 502 });
+
+      await expect(api.setPlayTimeLimit('kid-1', 0)).resolves.toBe(true);
+      expect(server.requestsTo('PUT', '/playTimeSettings')).toHaveLength(3);
+    });
+
+    test('does not retry unsafe POSTs on 5xx responses', async () => {
+      server.failNext({ method: 'POST', path: '/messages' }, { status: 503 });
+
+      await expect(api.sendMessage('kid-1', 'hello')).rejects.toThrow('status code 503');
+      expect(server.requestsTo('POST', '/messages')).toHaveLength(1);
+    });
+
+    test('retries idempotent POSTs', async () => {
+      server.failNext({ method: 'POST', path: '/restrictedContent' }, { status: 500 });
+
+      await expect(api.blockGame('kid-1', 'CUSA00001')).resolves.toBe(true);
+      expect(server.requestsTo('POST', '/restrictedContent')).toHaveLength(2);
+    });
+
+    test('stops retrying at the request deadline', async () => {
+      api.requestDeadlineMs = 500;
+      server.failNext({ method: 'GET', path: '/playTime' }, {
+        status: 429,
+        headers: { 'Retry-After': '5' }
+      });
+
+      await expect(api.getPlayTime('kid-1')).rejects.toThrow('status code 429');
+      expect(server.requestsTo('GET', '/playTime')).toHaveLength(1);
+    });
+
+    test('surfaces malformed bodies', async () => {
+      server.failNext({ method: 'GET', path: '/families' }, { malformed: true });
+      await expect(api.listChildAccounts()).rejects.toThrow('Failed to list child accounts');
+    });
+
+    test('surfaces unknown accounts as NotFoundError', async () => {
+      const error = await api.getPlayTime('nobody').catch(e => e);
+
+      expect(error).toBeInstanceOf(NotFoundError);
+      expect(error.message).toContain('status code 404');
+      expect(error).toMatchObject({
+        status: 404,
+        psnCode: 'account_not_found',
+        method: 'GET',
+        endpoint: '/api/familyManagement/v1/users/nobody/playTime',
+        retryable: false
+      });
+    });
+  });
+});
@@ -0,0 +1,995 @@
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import { PlayStationPlugin } from '../index.js';
+import { MemorySessionStore } from '../src/session-store.js';
+import { createLogger } from '../src/logger.js';
+import { MockPSNServer } from './support/mock-psn-server.js';
+
+const ORIGINAL_SETTINGS = { dailyPlayTimeLimit: 90, enabled: true, bedtime: '20:00' };
+
+describe('PlayStationPlugin end to end', () => {
+  let server;
+  let store;
+  let historyStore;
+  let allow2;
+  let plugin;
+  let config;
+
+  beforeEach(async () => {
+    server = new MockPSNServer({ npsso: 'valid-npsso' });
+    await server.start();
+
+    server.addChild({
+      accountId: 'kid-1',
+      playTime: { todayPlayTime: 42, status: 'online', currentTitle: 'Astro Bot' },
+      playTimeSettings: ORIGINAL_SETTINGS
+    });
+
+    store = new MemorySessionStore();
+    historyStore = new MemorySessionStore();
+    allow2 = {
+      check: jest.fn(async () => ({ allowed: true, remaining: 60 })),
+      log: jest.fn(async () => ({}))
+    };
+    config = {
+      npsso: 'valid-npsso',
+      baseURL: server.url,
+      authURL: server.url,
+      retry: { baseDelayMs: 5, maxDelayMs: 20 },
+      accountMapping: [{ childId: 'child-1', psnAccountId: 'kid-1' }]
+    };
+
+    plugin = new PlayStationPlugin({ sessionStore: store, historyStore });
+    const result = await plugin.onLoad(config, allow2);
+    expect(result).toEqual({ success: true });
+  });
+
+  afterEach(async () => {
+    await plugin.onUnload();
+    await server.stop();
+  });
+
+  test('reports status and lists PSN children after loading', async () => {
+    expect(plugin.getStatus()).toMatchObject({ initialized: true, monitoring: true });
+
+    const children = await plugin.listChildAccounts();
+    expect(children.map(c => c.accountId)).toEqual(['kid-1']);
+  });
+
+  test('rejects a missing or incomplete configuration', async () => {
+    const fresh = new PlayStationPlugin({ sessionStore: new MemorySessionStore(), historyStore: new MemorySessionStore() });
+    fresh.on('error', () => {});
+
+    await expect(fresh.onLoad(null, allow2)).resolves.toEqual({
+      success: false,
+      error: 'Plugin configuration is required'
+    });
+
+    const { npsso, ...withoutNpsso } = config;
+    await expect(fresh.onLoad(withoutNpsso, allow2)).resolves.toEqual({
+      success: false,
+      error: 'PSN NPSSO token is required in configuration'
+    });
+  });
+
+  test('suspends on exhausted quota and restores the original settings on renewal', async () => {
+    const exceeded = jest.fn();
+    const renewed = jest.fn();
+    plugin.on('quotaExceeded', exceeded);
+    plugin.on('quotaRenewed', renewed);
+
+    allow2.check.mockResolvedValueOnce({ allowed: false, remaining: 0, allowance: 40, day: '2024-06-10' });
+    const suspended = await plugin.newState({ children: { 'child-1': {} } });
+
+    expect(suspended.results[0].actions).toEqual([{ type: 'suspend', reason: 'Quota exhausted' }]);
+    expect(server.children['kid-1'].playTimeSettings).toEqual({ dailyPlayTimeLimit: 0, enabled: false });
+    expect(exceeded).toHaveBeenCalledWith({ childId: 'child-1', timeUsed: 42, quotaLimit: 40 });
+
+    allow2.check.mockResolvedValueOnce({ allowed: true, remaining: 60, allowance: 60, day: '2024-06-11' });
+    const resumed = await plugin.newState({ children: { 'child-1': {} } });
+
+    expect(resumed.results[0].actions).toEqual([{ type: 'resume' }]);
+    expect(server.children['kid-1'].playTimeSettings).toEqual(ORIGINAL_SETTINGS);
+    expect(renewed).toHaveBeenCalledWith(expect.objectContaining({ childId: 'child-1', newQuota: 60 }));
+  });
+
+  test('detects quota transitions while monitoring', async () => {
+    const exceeded = jest.fn();
+    const renewed = jest.fn();
+    plugin.on('quotaExceeded', exceeded);
+    plugin.on('quotaRenewed', renewed);
+
+    allow2.check.mockResolvedValue({ allowed: false, remaining: 0, allowance: 40, day: '2024-06-10' });
+    await plugin._monitorSessions();
+    await plugin._monitorSessions();
+    expect(exceeded).toHaveBeenCalledTimes(1);
+    expect(exceeded).toHaveBeenCalledWith({ childId: 'child-1', timeUsed: 42, quotaLimit: 40 });
+
+    allow2.check.mockResolvedValue({ allowed: true, remaining: 60, allowance: 60, day: '2024-06-11' });
+    await plugin._monitorSessions();
+    expect(renewed).toHaveBeenCalledWith(expect.objectContaining({ childId: 'child-1', newQuota: 60 }));
+  });
+
+  test('does not report bonus time on the same day as a quota renewal', async () => {
+    const exceeded = jest.fn();
+    const renewed = jest.fn();
+    plugin.on('quotaExceeded', exceeded);
+    plugin.on('quotaRenewed', renewed);
+
+    // Quota seen while some was left sets the limit for quotaExceeded
+    await plugin.newState({ children: { 'child-1': {} } });
+    allow2.check.mockResolvedValue({ allowed: false, remaining: 0 });
+    await plugin.newState({ children: { 'child-1': {} } });
+    expect(exceeded).toHaveBeenCalledWith({ childId: 'child-1', timeUsed: 42, quotaLimit: 102 });
+
+    await plugin.grantBonusTime('child-1', 15);
+
+    expect(server.children['kid-1'].playTimeSettings).toEqual(ORIGINAL_SETTINGS);
+    expect(renewed).not.toHaveBeenCalled();
+  });
+
+  test('suspends blocked children', async () => {
+    const result = await plugin.newState({
+      children: { 'child-1': { blocked: true, blockedReason: 'Homework' } }
+    });
+
+    expect(result.results[0].actions).toEqual([{ type: 'suspend', reason: 'Homework' }]);
+    expect(server.children['kid-1'].playTimeSettings.dailyPlayTimeLimit).toBe(0);
+  });
+
+  test('applies game restrictions', async () => {
+    await plugin.newState({
+      children: { 'child-1': { restrictions: { games: [{ gameId: 'CUSA00001', action: 'block' }] } } }
+    });
+
+    expect(server.children['kid-1'].restrictedContent).toEqual([{ contentId: 'CUSA00001', type: 'game' }]);
+  });
+
+  test('only writes restriction changes and keeps parent blocks', async () => {
+    server.children['kid-1'].restrictedContent = [{ contentId: 'CUSA09999', type: 'game' }];
+    const applied = jest.fn();
+    plugin.on('restrictionsApplied', applied);
+
+    const block = { children: { 'child-1': { restrictions: { games: [{ gameId: 'CUSA00001', action: 'block' }] } } } };
+    await plugin.newState(block);
+    await plugin.newState(block);
+
+    expect(server.requestsTo('POST', 'restrictedContent')).toHaveLength(1);
+    expect(applied).toHaveBeenLastCalledWith(expect.objectContaining({ blocked: [], unchanged: ['CUSA00001'] }));
+
+    const result = await plugin.newState({
+      children: {
+        'child-1': {
+          restrictions: {
+            games: [
+              { gameId: 'CUSA00001', action: 'unblock' },
+              { gameId: 'CUSA09999', action: 'unblock' }
+            ]
+          }
+        }
+      }
+    });
+
+    expect(result.results[0].success).toBe(true);
+    expect(server.children['kid-1'].restrictedContent).toEqual([{ contentId: 'CUSA09999', type: 'game' }]);
+    expect(applied).toHaveBeenLastCalledWith(expect.objectContaining({ unblocked: ['CUSA00001'], parentOwned: ['CUSA09999'] }));
+    expect(plugin.getDecisionLog({ limit: 1 })[0]).toMatchObject({ action: 'keepParentBlocks', details: { titleIds: ['CUSA09999'] } });
+
+    // A title the plugin blocked is unblocked once Allow2 stops listing it
+    await plugin.newState({
+      children: { 'child-1': { restrictions: { games: [{ gameId: 'CUSA00002', action: 'block' }] } } }
+    });
+    await plugin.newState({ children: { 'child-1': { restrictions: { games: [] } } } });
+
+    expect(server.children['kid-1'].restrictedContent).toEqual([{ contentId: 'CUSA09999', type: 'game' }]);
+    expect(applied).toHaveBeenLastCalledWith(expect.objectContaining({ unblocked: ['CUSA00002'] }));
+  });
+
+  test('monitors sessions and reports elapsed play time', async () => {
+    const started = jest.fn();
+    const ended = jest.fn();
+    plugin.on('sessionStarted', started);
+    plugin.on('sessionEnded', ended);
+
+    await plugin._monitorSessions();
+    expect(started).toHaveBeenCalledWith(expect.objectContaining({ childId: 'child-1' }));
+    expect(allow2.log).not.toHaveBeenCalled();
+
+    server.setPlayTime('kid-1', { todayPlayTime: 43, status: 'offline' });
+    plugin.psn.cache.flushAll();
+    await plugin._monitorSessions();
+
+    expect(allow2.log).toHaveBeenCalledWith({
+      childId: 'child-1',
+      activities: [expect.objectContaining({ activity: 'gaming', time: 1 })]
+    });
+    // Quota checks only read the quota; the usage was logged above
+    await plugin.newState({ children: { 'child-1': {} } });
+    expect(allow2.log).toHaveBeenCalledTimes(1);
+    expect(allow2.check).toHaveBeenCalled();
+    for (const [request] of allow2.check.mock.calls) {
+      expect(request.activities[0].log).toBe(false);
+    }
+    expect(ended).toHaveBeenCalledWith(expect.objectContaining({ childId: 'child-1' }));
+  });
+
+  test('runs manifest actions', async () => {
+    await expect(plugin.actions.checkQuota({ childId: 'child-1' })).resolves.toMatchObject({
+      success: true,
+      data: { allowed: true, remaining: 60, playTime: 42 }
+    });
+    expect(allow2.check.mock.calls.at(-1)[0].activities[0].log).toBe(false);
+    expect(allow2.log).not.toHaveBeenCalled();
+
+    await expect(plugin.actions.disableAccess({ childId: 'child-1' })).resolves.toMatchObject({ success: true });
+    expect(server.children['kid-1'].playTimeSettings.dailyPlayTimeLimit).toBe(0);
+
+    await expect(plugin.actions.enableAccess({ childId: 'child-1' })).resolves.toMatchObject({ success: true });
+    expect(server.children['kid-1'].playTimeSettings).toEqual(ORIGINAL_SETTINGS);
+
+    await expect(plugin.actions.reportUsage({ childId: 'nobody', duration: 60 })).resolves.toMatchObject({
+      success: false
+    });
+  });
+
+  test('leaves the parent\'s settings alone when enabling an active child', async () => {
+    server.children['kid-1'].playTimeSettings = { dailyPlayTimeLimit: 45, enabled: true };
+
+    await expect(plugin.actions.enableAccess({ childId: 'child-1' })).resolves.toMatchObject({ success: true });
+
+    expect(server.children['kid-1'].playTimeSettings).toEqual({ dailyPlayTimeLimit: 45, enabled: true });
+    expect(server.requestsTo('PUT', 'playTimeSettings')).toHaveLength(0);
+  });
+
+  test('suspends even when the parent\'s settings cannot be read', async () => {
+    server.failNext({ method: 'GET', path: '/parentalControls' }, { status: 403 });
+
+    await expect(plugin.actions.disableAccess({ childId: 'child-1' })).resolves.toMatchObject({ success: true });
+    expect(server.children['kid-1'].playTimeSettings).toEqual({ dailyPlayTimeLimit: 0, enabled: false });
+    expect(plugin.activeSessions.get('kid-1')).toMatchObject({ suspended: true, savedPlayTimeSettings: null });
+
+    await plugin.actions.enableAccess({ childId: 'child-1' });
+    expect(server.children['kid-1'].playTimeSettings).toEqual({ dailyPlayTimeLimit: 480, enabled: true });
+  });
+
+  test('snapshots the settings the parent just changed on the console', async () => {
+    await plugin.psn.getParentalControls('kid-1');
+    server.children['kid-1'].playTimeSettings = { ...ORIGINAL_SETTINGS, dailyPlayTimeLimit: 120 };
+
+    await plugin.actions.disableAccess({ childId: 'child-1' });
+    await plugin.actions.enableAccess({ childId: 'child-1' });
+
+    expect(server.children['kid-1'].playTimeSettings).toEqual({ ...ORIGINAL_SETTINGS, dailyPlayTimeLimit: 120 });
+  });
+
+  test('reports usage in minutes and rejects invalid action parameters', async () => {
+    await expect(plugin.actions.reportUsage({
+      childId: 'child-1',
+      duration: 600,
+      metadata: { title: 'Astro Bot' }
+    })).resolves.toEqual({
+      success: true,
+      action: 'reportUsage',
+      childId: 'child-1',
+      psnAccountId: 'kid-1',
+      data: { activity: 'gaming', minutes: 10, buffered: false }
+    });
+    expect(allow2.log).toHaveBeenCalledWith({
+      childId: 'child-1',
+      activities: [{ activity: 'gaming', time: 10, meta: { title: 'Astro Bot', platform: 'PlayStation', accountId: 'kid-1' } }]
+    });
+
+    await expect(plugin.actions.disableAccess({ deviceId: 'ps5-1' })).resolves.toEqual({
+      success: false,
+      action: 'disableAccess',
+      error: 'childId is required'
+    });
+    await expect(plugin.executeAction('launchGame', {})).resolves.toMatchObject({
+      success: false,
+      error: 'Unknown action: launchGame'
+    });
+  });
+
+  test('emits sessionStarted and sessionEnded with the documented payloads', async () => {
+    const started = jest.fn();
+    const ended = jest.fn();
+    plugin.on('sessionStarted', started);
+    plugin.on('sessionEnded', ended);
+    server.setPresence('kid-1', { platform: 'PS5', deviceId: 'ps5-0001' });
+    plugin.psn.cache.flushAll();
+
+    await plugin._monitorSessions();
+    await plugin._monitorSessions();
+    expect(started).toHaveBeenCalledTimes(1);
+    expect(started).toHaveBeenCalledWith({ childId: 'child-1', deviceId: 'ps5-0001', startTime: expect.any(Date) });
+
+    plugin.activeSessions.get('kid-1').sessionStart -= 5 * 60000;
+    server.setPlayTime('kid-1', { status: 'offline' });
+    plugin.psn.cache.flushAll();
+    await plugin._monitorSessions();
+
+    expect(ended).toHaveBeenCalledWith({ childId: 'child-1', deviceId: 'ps5-0001', duration: 300, endTime: expect.any(Date) });
+  });
+
+  test('drops a restored session that ended while the plugin was down', async () => {
+    await plugin._monitorSessions();
+    await plugin.onUnload();
+    expect((await store.load()).sessions['kid-1']).toMatchObject({ playing: true, currentGame: 'Astro Bot' });
+
+    server.setPlayTime('kid-1', { status: 'offline', currentTitle: null });
+    plugin = new PlayStationPlugin({ sessionStore: store, historyStore });
+    await plugin.onLoad(config, allow2);
+
+    expect(plugin.activeSessions.get('kid-1')).toMatchObject({
+      playing: false,
+      sessionStart: null,
+      currentGame: 'Astro Bot',
+      reconciledAt: expect.any(Number)
+    });
+  });
+
+  test('keeps the settings snapshot while suspended and restores a per-child override', async () => {
+    await plugin.actions.disableAccess({ childId: 'child-1' });
+    expect((await store.load()).sessions['kid-1'].savedPlayTimeSettings).toEqual(ORIGINAL_SETTINGS);
+
+    // Suspending again must not snapshot the zeroed settings
+    await plugin.actions.disableAccess({ childId: 'child-1' });
+    expect(plugin.activeSessions.get('kid-1').savedPlayTimeSettings).toEqual(ORIGINAL_SETTINGS);
+
+    await plugin.onUnload();
+    config.accountMapping[0].dailyLimitOverride = 30;
+    plugin = new PlayStationPlugin({ sessionStore: store, historyStore });
+    await plugin.onLoad(config, allow2);
+
+    await plugin.actions.enableAccess({ childId: 'child-1' });
+    expect(server.children['kid-1'].playTimeSettings).toEqual({ dailyPlayTimeLimit: 30, enabled: true });
+    expect(plugin.activeSessions.get('kid-1')).toMatchObject({ suspended: false, savedPlayTimeSettings: null });
+  });
+
+  test('records play history from monitoring and reports it', async () => {
+    await plugin._monitorSessions();
+
+    // Ten minutes of play between polls
+    plugin.usageAccountant.accounts['kid-1'].observedAt -= 10 * 60000;
+    server.setPlayTime('kid-1', { todayPlayTime: 52 });
+    plugin.psn.cache.flushAll();
+    await plugin._monitorSessions();
+
+    const report = await plugin.actions.getPlayReport({ childId: 'child-1', period: 'week' });
+    expect(report.data.byGame[0]).toMatchObject({ game: 'Astro Bot', sessions: 1 });
+    expect(historyStore.data.segments).toHaveLength(1);
+
+    const csv = await plugin.actions.exportPlayHistory({ format: 'csv' });
+    expect(csv.data.content.split('\n')[1]).toMatch(/^child-1,kid-1,Astro Bot,.*,10$/);
+
+    await expect(plugin.actions.getPlayReport({ childId: 'child-1', period: 'year' })).resolves.toMatchObject({
+      success: false,
+      error: 'period must be one of: day, week, month'
+    });
+  });
+
+  test('blocks a game when its budget runs out and unblocks it the next day', async () => {
+    const exhausted = jest.fn();
+    const renewed = jest.fn();
+    await plugin.onUnload();
+
+    config.accountMapping[0].gameBudgets = [{ title: 'Astro Bot', titleId: 'PPSA01325', dailyMinutes: 15 }];
+    plugin = new PlayStationPlugin({ sessionStore: store, historyStore });
+    plugin.on('gameBudgetExhausted', exhausted);
+    plugin.on('gameBudgetRenewed', renewed);
+    await plugin.onLoad(config, allow2);
+
+    await plugin._monitorSessions();
+    for (const todayPlayTime of [52, 62]) {
+      plugin.usageAccountant.accounts['kid-1'].observedAt -= 10 * 60000;
+      server.setPlayTime('kid-1', { todayPlayTime });
+      plugin.psn.cache.flushAll();
+      await plugin._monitorSessions();
+    }
+
+    expect(server.children['kid-1'].restrictedContent).toEqual([{ contentId: 'PPSA01325', type: 'game' }]);
+    expect(exhausted).toHaveBeenCalledTimes(1);
+    expect(exhausted).toHaveBeenCalledWith(expect.objectContaining({ childId: 'child-1', usedMinutes: 20 }));
+
+    // Next day
+    plugin.gameBudgets.blocked['kid-1']['PPSA01325'] = '2000-01-01';
+    await plugin._monitorSessions();
+
+    expect(server.children['kid-1'].restrictedContent).toEqual([]);
+    expect(renewed).toHaveBeenCalledWith({ childId: 'child-1', accountId: 'kid-1', titleId: 'PPSA01325' });
+  });
+
+  test('keeps a budget-blocked title blocked at reset while Allow2 still restricts it', async () => {
+    await plugin.onUnload();
+
+    config.accountMapping[0].gameBudgets = [
+      { title: 'Astro Bot', titleId: 'PPSA01325', dailyMinutes: 15 },
+      { title: 'Fortnite', titleId: 'CUSA07669', dailyMinutes: 15 }
+    ];
+    server.children['kid-1'].restrictedContent = [{ contentId: 'CUSA07669', type: 'game' }];
+    plugin = new PlayStationPlugin({ sessionStore: store, historyStore });
+    await plugin.onLoad(config, allow2);
+
+    plugin.gameBudgets.record('kid-1', { game: 'Astro Bot', gameId: 'PPSA01325', minutes: 20 });
+    plugin.gameBudgets.record('kid-1', { game: 'Fortnite', gameId: 'CUSA07669', minutes: 20 });
+    await plugin._enforceGameBudgets(plugin._getPSNAccountForChild('child-1'));
+    await plugin.newState({
+      children: { 'child-1': { restrictions: { games: [{ gameId: 'PPSA01325', action: 'block' }] } } }
+    });
+
+    expect(server.requestsTo('POST', 'restrictedContent')).toHaveLength(1);
+
+    // Next day
+    plugin.gameBudgets.blocked['kid-1'] = { PPSA01325: '2000-01-01', CUSA07669: '2000-01-01' };
+    await plugin._unblockExpiredGameBudgets();
+
+    expect(server.requestsTo('DELETE', 'restrictedContent')).toHaveLength(0);
+    expect(server.children['kid-1'].restrictedContent.map(c => c.contentId).sort()).toEqual(['CUSA07669', 'PPSA01325']);
+    expect(plugin.restrictions.ownersOf('kid-1', 'PPSA01325')).toEqual(['allow2']);
+  });
+
+  test('checks and logs each title against its classified activity', async () => {
+    await plugin.onUnload();
+
+    config.titleActivities = { CUSA00001: 'education' };
+    plugin = new PlayStationPlugin({ sessionStore: store, historyStore });
+    await plugin.onLoad(config, allow2);
+
+    server.setPlayTime('kid-1', { currentTitle: 'Math Blaster', currentTitleId: 'CUSA00001' });
+    await plugin._monitorSessions();
+
+    expect(allow2.check).toHaveBeenLastCalledWith({
+      childId: 'child-1',
+      activities: [expect.objectContaining({ activity: 'education' })]
+    });
+
+    // Streaming apps are classified by PSN category; the last title's activity
+    // is kept when the session ends between polls
+    plugin.usageAccountant.accounts['kid-1'].observedAt -= 10 * 60000;
+    server.setPlayTime('kid-1', { todayPlayTime: 52, currentTitle: 'Netflix', currentTitleId: 'CUSA00129', currentTitleCategory: 'VIDEO' });
+    plugin.psn.cache.flushAll();
+    await plugin._monitorSessions();
+
+    expect(allow2.log).toHaveBeenLastCalledWith({
+      childId: 'child-1',
+      activities: [expect.objectContaining({ activity: 'streaming', time: 10 })]
+    });
+
+    server.setPlayTime('kid-1', { todayPlayTime: 53, status: 'offline', currentTitle: null, currentTitleId: null });
+    plugin.psn.cache.flushAll();
+    await plugin._monitorSessions();
+
+    expect(allow2.log).toHaveBeenLastCalledWith({
+      childId: 'child-1',
+      activities: [expect.objectContaining({ activity: 'streaming', time: 1 })]
+    });
+
+    // Each quota is checked with its own activity's play, not PSN's total
+    await plugin.actions.checkQuota({ childId: 'child-1', activityId: 'streaming' });
+    expect(allow2.check).toHaveBeenLastCalledWith({
+      childId: 'child-1',
+      activities: [{ activity: 'streaming', log: false, time: 11 }]
+    });
+
+    // Offline, gaming does not draw down the cached streaming quota
+    plugin.usageAccountant.accounts['kid-1'].observedAt -= 5 * 60000;
+    server.setPlayTime('kid-1', { todayPlayTime: 58, status: 'online', currentTitle: 'Astro Bot', currentTitleId: 'PPSA01325' });
+    plugin.psn.cache.flushAll();
+    await plugin._monitorSessions();
+    allow2.check.mockRejectedValue(new Error('network down'));
+
+    await expect(plugin.actions.checkQuota({ childId: 'child-1', activityId: 'streaming' })).resolves.toMatchObject({
+      data: { allowed: true, remaining: 60, offline: true }
+    });
+  });
+
+  test('suspends outside scheduled hours and resumes when the window opens', async () => {
+    const changed = jest.fn();
+    await plugin.onUnload();
+
+    config.accountMapping[0].timezone = 'UTC';
+    config.accountMapping[0].schedule = [{ name: 'Bedtime', type: 'block', from: '20:00', to: '07:00' }];
+    plugin = new PlayStationPlugin({ sessionStore: store, historyStore });
+    plugin.on('scheduleChanged', changed);
+    await plugin.onLoad(config, allow2);
+
+    plugin.schedules.now = () => Date.parse('2024-06-10T21:00:00Z');
+    await plugin._monitorSessions();
+
+    expect(server.children['kid-1'].playTimeSettings).toEqual({ dailyPlayTimeLimit: 0, enabled: false });
+    expect(changed).toHaveBeenCalledWith({ childId: 'child-1', accountId: 'kid-1', allowed: false, rule: 'Bedtime', type: 'block' });
+    expect(plugin.getStatus().schedules).toEqual({
+      'child-1': { allowed: false, rule: 'Bedtime', type: 'block', timezone: 'UTC', device: null }
+    });
+
+    // Allow2 quota cannot lift a bedtime suspension
+    const result = await plugin.newState({ children: { 'child-1': {} } });
+    expect(result.results[0].actions).toEqual([{ type: 'suspend', reason: 'Schedule: Bedtime' }]);
+
+    plugin.schedules.now = () => Date.parse('2024-06-11T07:00:00Z');
+    await plugin._monitorSessions();
+
+    expect(server.children['kid-1'].playTimeSettings).toEqual(ORIGINAL_SETTINGS);
+    expect(plugin.getStatus().schedules['child-1']).toMatchObject({ allowed: true, rule: null });
+  });
+
+  test('keeps Allow2 and parent blocks when a schedule window opens', async () => {
+    await plugin.onUnload();
+
+    config.accountMapping[0].timezone = 'UTC';
+    config.accountMapping[0].schedule = [{ name: 'Bedtime', type: 'block', from: '20:00', to: '07:00' }];
+    plugin = new PlayStationPlugin({ sessionStore: store, historyStore });
+    await plugin.onLoad(config, allow2);
+
+    plugin.schedules.now = () => Date.parse('2024-06-10T21:00:00Z');
+    await plugin.newState({ children: { 'child-1': { blocked: true, blockedReason: 'Homework' } } });
+
+    plugin.schedules.now = () => Date.parse('2024-06-11T07:00:00Z');
+    await plugin._monitorSessions();
+
+    expect(server.children['kid-1'].playTimeSettings.dailyPlayTimeLimit).toBe(0);
+    expect(plugin.getDecisionLog({ limit: 1 })[0]).toMatchObject({ action: 'suspend', reason: 'Allow2 blocked the child: Homework' });
+
+    await plugin.newState({ children: { 'child-1': {} } });
+    await plugin.actions.disableAccess({ childId: 'child-1' });
+
+    plugin.schedules.now = () => Date.parse('2024-06-11T21:00:00Z');
+    await plugin._monitorSessions();
+    plugin.schedules.now = () => Date.parse('2024-06-12T07:00:00Z');
+    await plugin._monitorSessions();
+
+    expect(server.children['kid-1'].playTimeSettings.dailyPlayTimeLimit).toBe(0);
+    expect(plugin.getDecisionLog({ limit: 1 })[0]).toMatchObject({ action: 'suspend', reason: 'Parent disabled access' });
+  });
+
+  test('lets an approved extension lift a quota suspension', async () => {
+    allow2.check.mockResolvedValue({ allowed: false, remaining: 0 });
+    await plugin.newState({ children: { 'child-1': {} } });
+    expect(server.children['kid-1'].playTimeSettings.dailyPlayTimeLimit).toBe(0);
+
+    const { data: request } = await plugin.actions.requestExtension({ childId: 'child-1', minutes: 10 });
+    await expect(plugin.actions.approveExtension({ requestId: request.id })).resolves.toMatchObject({ success: true });
+
+    expect(server.children['kid-1'].playTimeSettings).toEqual(ORIGINAL_SETTINGS);
+    expect(plugin.getDecisionLog({ limit: 1 })[0]).toMatchObject({ action: 'extension' });
+  });
+
+  test('keeps a schedule suspension when an extension is approved', async () => {
+    await plugin.onUnload();
+
+    config.accountMapping[0].timezone = 'UTC';
+    config.accountMapping[0].schedule = [{ name: 'Bedtime', type: 'block', from: '20:00', to: '07:00' }];
+    plugin = new PlayStationPlugin({ sessionStore: store, historyStore });
+    await plugin.onLoad(config, allow2);
+    plugin.schedules.now = () => Date.parse('2024-06-10T21:00:00Z');
+    await plugin._monitorSessions();
+
+    const { data: request } = await plugin.actions.requestExtension({ childId: 'child-1', minutes: 10 });
+    await plugin.actions.approveExtension({ requestId: request.id });
+
+    expect(server.children['kid-1'].playTimeSettings.dailyPlayTimeLimit).toBe(0);
+    expect(plugin.getDecisionLog({ limit: 1 })[0]).toMatchObject({ action: 'suspend', reason: 'Outside scheduled hours (rule "Bedtime")' });
+  });
+
+  test('lets bonus time lift a quota suspension until it is revoked', async () => {
+    allow2.check.mockResolvedValue({ allowed: false, remaining: 0 });
+    await plugin.newState({ children: { 'child-1': {} } });
+    expect(server.children['kid-1'].playTimeSettings.dailyPlayTimeLimit).toBe(0);
+
+    const granted = await plugin.actions.grantBonusTime({ childId: 'child-1', minutes: 30, reason: 'Tidied room' });
+    expect(granted).toMatchObject({ success: true, childId: 'child-1', data: { minutes: 30, status: 'active' } });
+    expect(server.children['kid-1'].playTimeSettings).toEqual(ORIGINAL_SETTINGS);
+
+    await expect(plugin.actions.checkQuota({ childId: 'child-1' })).resolves.toMatchObject({
+      data: { allowed: true, remaining: 30, bonusMinutes: 30 }
+    });
+
+    const revoked = await plugin.actions.revokeBonusTime({ grantId: granted.data.id });
+    expect(revoked).toMatchObject({ success: true, childId: 'child-1', data: { status: 'revoked' } });
+
+    const listed = await plugin.actions.listBonusTime({ childId: 'child-1' });
+    expect(listed.data.available).toBe(0);
+    expect(listed.data.history.map(e => e.action)).toEqual(['grant', 'revoke']);
+    expect(store.data.timeBank.grants).toHaveLength(1);
+
+    const result = await plugin.newState({ children: { 'child-1': {} } });
+    expect(result.results[0].actions).toEqual([{ type: 'suspend', reason: 'Quota exhausted' }]);
+  });
+
+  test('suspends every child once the household pool is used up', async () => {
+    const exhausted = jest.fn();
+    const renewed = jest.fn();
+    await plugin.onUnload();
+
+    server.addChild({ accountId: 'kid-2', playTime: { todayPlayTime: 10, status: 'online' }, playTimeSettings: ORIGINAL_SETTINGS });
+    config.accountMapping.push({ childId: 'child-2', psnAccountId: 'kid-2' });
+    config.householdPool = { dailyMinutes: 15 };
+    plugin = new PlayStationPlugin({ sessionStore: store, historyStore });
+    plugin.on('householdPoolExhausted', exhausted);
+    plugin.on('householdPoolRenewed', renewed);
+    await plugin.onLoad(config, allow2);
+
+    await plugin._monitorSessions();
+    for (const [accountId, todayPlayTime] of [['kid-1', 52], ['kid-2', 16]]) {
+      plugin.usageAccountant.accounts[accountId].observedAt -= 10 * 60000;
+      server.setPlayTime(accountId, { todayPlayTime });
+    }
+    plugin.psn.cache.flushAll();
+    await plugin._monitorSessions();
+
+    expect(exhausted).toHaveBeenCalledWith(expect.objectContaining({
+      usedMinutes: 16,
+      byChild: { 'child-1': 10, 'child-2': 6 }
+    }));
+    expect(server.children['kid-1'].playTimeSettings.dailyPlayTimeLimit).toBe(0);
+    expect(server.children['kid-2'].playTimeSettings.dailyPlayTimeLimit).toBe(0);
+    expect(plugin.getStatus().householdPool).toMatchObject({ dailyMinutes: 15, remainingMinutes: 0, exhausted: true });
+
+    // Next day
+    plugin.householdPool.enforcedDay = '2000-01-01';
+    plugin.householdPool.day = '2000-01-01';
+    await plugin._monitorSessions();
+
+    expect(renewed).toHaveBeenCalledTimes(1);
+    expect(server.children['kid-1'].playTimeSettings).toEqual(ORIGINAL_SETTINGS);
+    expect(server.children['kid-2'].playTimeSettings).toEqual(ORIGINAL_SETTINGS);
+  });
+
+  test('tracks the console a child is on and applies device-scoped rules', async () => {
+    const changed = jest.fn();
+    await plugin.onUnload();
+
+    server.setPresence('kid-1', { platform: 'ps4', deviceId: 'ps4-bedroom' });
+    config.accountMapping[0].timezone = 'UTC';
+    config.accountMapping[0].schedule = [
+      { name: 'Bedroom curfew', type: 'block', devices: ['Bedroom PS4'], from: '20:00', to: '07:00' }
+    ];
+    plugin = new PlayStationPlugin({ sessionStore: store, historyStore });
+    plugin.on('deviceChanged', changed);
+    await plugin.onLoad(config, allow2);
+    plugin.schedules.now = () => Date.parse('2024-06-10T21:00:00Z');
+
+    await expect(plugin.actions.nameDevice({ deviceId: 'ps4-bedroom', name: 'Bedroom PS4' })).resolves.toMatchObject({
+      success: true,
+      data: { deviceId: 'ps4-bedroom', name: 'Bedroom PS4' }
+    });
+
+    await plugin._monitorSessions();
+
+    expect(changed).toHaveBeenCalledWith({
+      childId: 'child-1',
+      accountId: 'kid-1',
+      deviceId: 'ps4-bedroom',
+      name: 'Bedroom PS4',
+      platform: 'PS4'
+    });
+    expect(plugin.activeSessions.get('kid-1')).toMatchObject({ deviceId: 'ps4-bedroom', platform: 'PS4' });
+    expect(server.children['kid-1'].playTimeSettings.dailyPlayTimeLimit).toBe(0);
+
+    // Moving to the living-room PS5 lifts the bedroom curfew
+    server.setPresence('kid-1', { platform: 'PS5', deviceId: 'ps5-lounge' });
+    plugin.psn.cache.flushAll();
+    await plugin._monitorSessions();
+
+    expect(server.children['kid-1'].playTimeSettings).toEqual(ORIGINAL_SETTINGS);
+
+    // ...until a parent disables that console for the child
+    await expect(plugin.actions.disableAccess({ childId: 'child-1', deviceId: 'ps5-lounge' })).resolves.toMatchObject({
+      data: { enabled: false, deviceId: 'ps5-lounge' }
+    });
+    expect(server.children['kid-1'].playTimeSettings.dailyPlayTimeLimit).toBe(0);
+    expect(plugin.getStatus().schedules['child-1']).toMatchObject({ allowed: false, rule: 'Disabled on ps5-lounge' });
+
+    await plugin.actions.enableAccess({ childId: 'child-1', deviceId: 'ps5-lounge' });
+    expect(server.children['kid-1'].playTimeSettings).toEqual(ORIGINAL_SETTINGS);
+
+    // A suspended child cannot play anywhere; logging in on another console lifts it
+    await plugin.actions.disableAccess({ childId: 'child-1', deviceId: 'ps5-lounge' });
+    plugin.schedules.now = () => Date.parse('2024-06-11T12:00:00Z');
+    server.setPlayTime('kid-1', { status: 'offline' });
+    server.setPresence('kid-1', { platform: 'PS4', deviceId: 'ps4-bedroom', online: true });
+    plugin.psn.cache.flushAll();
+    await plugin._monitorSessions();
+
+    expect(plugin.activeSessions.get('kid-1').deviceId).toBe('ps4-bedroom');
+    expect(server.children['kid-1'].playTimeSettings).toEqual(ORIGINAL_SETTINGS);
+    await plugin.actions.enableAccess({ childId: 'child-1', deviceId: 'ps5-lounge' });
+
+    const devices = await plugin.actions.listDevices({});
+    expect(devices.data.map(d => [d.deviceId, d.name, d.platform])).toEqual([
+      ['ps4-bedroom', 'Bedroom PS4', 'PS4'],
+      ['ps5-lounge', null, 'PS5']
+    ]);
+  });
+
+  test('reports intended PSN writes without making them in dry-run mode', async () => {
+    const writes = [];
+    await plugin.onUnload();
+
+    config.dryRun = true;
+    plugin = new PlayStationPlugin({ sessionStore: store, historyStore });
+    plugin.on('dryRunWrite', write => writes.push(write));
+    await plugin.onLoad(config, allow2);
+    server.requests = [];
+
+    allow2.check.mockResolvedValueOnce({ allowed: false, remaining: 0 });
+    const result = await plugin.newState({
+      children: { 'child-1': { restrictions: { games: [{ action: 'block', gameId: 'CUSA00001' }] } } }
+    });
+
+    expect(result.results[0].actions.map(a => a.type)).toEqual(['suspend', 'restrictions']);
+    expect(server.requests.filter(r => r.method !== 'GET' && r.path.startsWith('/api/familyManagement'))).toEqual([]);
+    expect(server.children['kid-1'].playTimeSettings).toEqual(ORIGINAL_SETTINGS);
+    expect(server.children['kid-1'].restrictedContent).toEqual([]);
+    expect(plugin.activeSessions.get('kid-1')).not.toHaveProperty('suspended');
+    expect(plugin.activeSessions.get('kid-1')).not.toHaveProperty('savedPlayTimeSettings');
+
+    expect(writes).toEqual([
+      expect.objectContaining({
+        childId: 'child-1',
+        method: 'setPlayTimeLimit',
+        args: [0],
+        before: ORIGINAL_SETTINGS,
+        after: { dailyPlayTimeLimit: 0, enabled: false }
+      }),
+      expect.objectContaining({
+        method: 'blockGame',
+        args: ['CUSA00001'],
+        before: { gameId: 'CUSA00001', restricted: false },
+        after: { gameId: 'CUSA00001', restricted: true }
+      })
+    ]);
+
+    const log = await plugin.actions.getDecisionLog({ childId: 'child-1' });
+    expect(log.data.map(d => [d.action, d.reason, d.dryRun])).toEqual([
+      ['restrictions', 'Allow2 sent 1 game restriction(s)', true],
+      ['suspend', 'Quota used up (42 minutes played today)', true]
+    ]);
+    expect(plugin.getStatus().dryRun).toBe(true);
+  });
+
+  test('reports a dry-run game budget block once a day', async () => {
+    const exhausted = jest.fn();
+    const writes = [];
+    await plugin.onUnload();
+
+    config.dryRun = true;
+    config.accountMapping[0].gameBudgets = [{ title: 'Astro Bot', titleId: 'PPSA01325', dailyMinutes: 15 }];
+    plugin = new PlayStationPlugin({ sessionStore: store, historyStore });
+    plugin.on('gameBudgetExhausted', exhausted);
+    plugin.on('dryRunWrite', write => writes.push(write));
+    await plugin.onLoad(config, allow2);
+
+    await plugin._monitorSessions();
+    for (const todayPlayTime of [52, 62, 72]) {
+      plugin.usageAccountant.accounts['kid-1'].observedAt -= 10 * 60000;
+      server.setPlayTime('kid-1', { todayPlayTime });
+      plugin.psn.cache.flushAll();
+      await plugin._monitorSessions();
+    }
+
+    expect(server.children['kid-1'].restrictedContent).toEqual([]);
+    expect(exhausted).toHaveBeenCalledTimes(1);
+    expect(writes.filter(w => w.method === 'blockGame')).toHaveLength(1);
+    const log = await plugin.actions.getDecisionLog({ childId: 'child-1' });
+    expect(log.data.filter(d => d.action === 'blockGame')).toHaveLength(1);
+  });
+
+  test('remembers suspensions across a restart', async () => {
+    await plugin.actions.disableAccess({ childId: 'child-1' });
+    await plugin.onUnload();
+
+    plugin = new PlayStationPlugin({ sessionStore: store, historyStore });
+    await plugin.onLoad(config, allow2);
+
+    expect(plugin.activeSessions.get('kid-1').suspended).toBe(true);
+
+    await plugin.newState({ children: { 'child-1': {} } });
+    expect(server.children['kid-1'].playTimeSettings).toEqual(ORIGINAL_SETTINGS);
+  });
+
+  test('emits credentialsExpired and hot-swaps a new NPSSO', async () => {
+    const expired = jest.fn();
+    plugin.on('credentialsExpired', expired);
+
+    server.expireCredentials();
+    const result = await plugin.newState({ children: { 'child-1': {} } });
+
+    expect(result.results[0].success).toBe(false);
+    expect(expired).toHaveBeenCalledTimes(1);
+    expect(plugin.getStatus().credentials.expired).toBe(true);
+
+    server.npsso = 'new-npsso';
+    await expect(plugin.updateCredentials('wrong-npsso')).resolves.toMatchObject({ success: false });
+    await expect(plugin.updateCredentials('new-npsso')).resolves.toMatchObject({ success: true });
+
+    expect(plugin.getStatus().credentials.expired).toBe(false);
+    const recovered = await plugin.newState({ children: { 'child-1': {} } });
+    expect(recovered.results[0].success).toBe(true);
+  });
+
+  test('hands a re-linked NPSSO to the host when there is no credential vault', async () => {
+    const configUpdate = jest.fn(update => Object.assign(config, update));
+    plugin.on('configUpdateRequired', configUpdate);
+
+    server.npsso = 'new-npsso';
+    await plugin.updateCredentials('new-npsso');
+
+    expect(configUpdate).toHaveBeenCalledWith({ npsso: 'new-npsso', npssoIssuedAt: expect.any(Number) });
+    // ...and the config UI saves it plain, as there is nothing to seal with
+    expect(plugin.sealCredentials({ npsso: 'new-npsso' })).toBeNull();
+
+    await plugin.onUnload();
+    plugin = new PlayStationPlugin({ sessionStore: store, historyStore });
+    await expect(plugin.onLoad(config, allow2)).resolves.toEqual({ success: true });
+  });
+
+  test('waits for a re-link when loaded with a dead NPSSO', async () => {
+    await plugin.onUnload();
+    server.expireCredentials();
+
+    plugin = new PlayStationPlugin({ sessionStore: store, historyStore });
+    await expect(plugin.onLoad(config, allow2)).resolves.toMatchObject({
+      success: false,
+      credentialsExpired: true
+    });
+    expect(plugin.getStatus().initialized).toBe(false);
+
+    server.npsso = 'new-npsso';
+    await plugin.updateCredentials('new-npsso');
+
+    expect(plugin.getStatus()).toMatchObject({ initialized: true, monitoring: true });
+  });
+
+  test('routes logs to an injected logger without dumping state or secrets', async () => {
+    await plugin.onUnload();
+
+    const entries = [];
+    const logger = createLogger({ level: 'debug', sink: entry => entries.push(entry) });
+    plugin = new PlayStationPlugin({ sessionStore: store, historyStore, logger });
+    await plugin.onLoad(config, allow2);
+
+    await plugin.newState({ children: { 'child-1': { blocked: true, note: 'private' } } });
+
+    expect(entries.find(e => e.message === 'Suspending session')).toMatchObject({
+      component: 'PlayStation Plugin',
+      accountId: 'kid-1'
+    });
+    expect(entries.find(e => e.message === 'Setting play time limit')).toMatchObject({ component: 'PSN API' });
+
+    const output = JSON.stringify(entries);
+    expect(output).not.toContain('private');
+    expect(output).not.toContain('valid-npsso');
+  });
+
+  test('stores credentials encrypted and reuses the refresh token after a restart', async () => {
+    await plugin.onUnload();
+
+    const credentialKey = crypto.randomBytes(32);
+    const credentialStore = new MemorySessionStore();
+    const first = new PlayStationPlugin({ sessionStore: store, historyStore, credentialStore, credentialKey });
+    await first.onLoad(config, allow2);
+    await first.credentialSave;
+    await first.onUnload();
+
+    const saved = JSON.stringify(credentialStore.data);
+    expect(saved).not.toContain('valid-npsso');
+    expect(saved).not.toMatch(/refresh-\d/);
+
+    // The NPSSO is no longer accepted, so only the stored refresh token can work
+    server.npsso = null;
+    const { npsso, ...hostConfig } = config;
+
+    plugin = new PlayStationPlugin({ sessionStore: store, historyStore, credentialStore, credentialKey });
+    const encryptedCredentials = plugin.sealCredentials({ npsso });
+    await expect(plugin.onLoad({ ...hostConfig, encryptedCredentials }, allow2)).resolves.toEqual({ success: true });
+
+    const tokenRequests = server.requestsTo('POST', '/oauth/token');
+    expect(tokenRequests[tokenRequests.length - 1].body).toContain('grant_type=refresh_token');
+  });
+
+  test('falls back to the configured NPSSO when stored credentials cannot be opened', async () => {
+    await plugin.onUnload();
+
+    const credentialStore = new MemorySessionStore();
+    const first = new PlayStationPlugin({ sessionStore: store, historyStore, credentialStore, credentialKey: crypto.randomBytes(32) });
+    await first.onLoad(config, allow2);
+    await first.credentialSave;
+    await first.onUnload();
+
+    // The host rotated its key
+    plugin = new PlayStationPlugin({ sessionStore: store, historyStore, credentialStore, credentialKey: crypto.randomBytes(32) });
+    await expect(plugin.onLoad(config, allow2)).resolves.toEqual({ success: true });
+    await plugin.credentialSave;
+
+    expect(plugin.credentials.npsso).toBe('valid-npsso');
+    expect(plugin.credentialVault.open(credentialStore.data)).toMatchObject({ npsso: 'valid-npsso' });
+  });
+
+  test('warns before the NPSSO expires', async () => {
+    const expiring = jest.fn();
+    await plugin.onUnload();
+
+    plugin = new PlayStationPlugin({ sessionStore: store, historyStore });
+    plugin.on('credentialsExpiring', expiring);
+    await plugin.onLoad({ ...config, npssoIssuedAt: Date.now() - 55 * 24 * 60 * 60 * 1000 }, allow2);
+
+    await plugin._monitorSessions();
+    await plugin._monitorSessions();
+
+    expect(expiring).toHaveBeenCalledTimes(1);
+    expect(expiring).toHaveBeenCalledWith(expect.objectContaining({ expired: false, daysRemaining: 5 }));
+  });
+
+  test('reports PSN failures per child without failing the whole state', async () => {
+    server.failNext({ method: 'GET', path: '/playTime' }, { status: 503, times: 10 });
+
+    const result = await plugin.newState({ children: { 'child-1': {} } });
+
+    expect(result.success).toBe(true);
+    expect(result.results[0]).toMatchObject({ childId: 'child-1', success: false, retry: true });
+  });
+
+  test('retries a transiently failed state on the next monitoring tick', async () => {
+    server.failNext({ method: 'PUT', path: '/playTimeSettings' }, { status: 503, times: 10 });
+
+    const result = await plugin.newState({ children: { 'child-1': { blocked: true } } });
+    expect(result.results[0]).toMatchObject({ success: false, retry: true });
+    expect(plugin.pendingStates.has('child-1')).toBe(true);
+
+    server.failures = [];
+    await plugin._monitorSessions();
+
+    expect(plugin.pendingStates.has('child-1')).toBe(false);
+    expect(server.children['kid-1'].playTimeSettings).toMatchObject({ dailyPlayTimeLimit: 0 });
+  }, 15000);
+
+  test('skips children whose PSN account no longer exists', async () => {
+    delete server.children['kid-1'];
+
+    const result = await plugin.newState({ children: { 'child-1': {} } });
+
+    expect(result.results[0]).toMatchObject({ skipped: true, reason: 'PSN account not found' });
+    expect(plugin.pendingStates.size).toBe(0);
+  });
+
+  test('keeps monitoring other children when one PSN account is gone', async () => {
+    await plugin.onUnload();
+    config.accountMapping.unshift({ childId: 'child-0', psnAccountId: 'kid-gone' });
+    plugin = new PlayStationPlugin({ sessionStore: store, historyStore });
+    await plugin.onLoad(config, allow2);
+    const alert = jest.fn();
+    plugin.on('enforcementAlert', alert);
+
+    await plugin._monitorSessions();
+    server.setPlayTime('kid-1', { todayPlayTime: 43 });
+    plugin.psn.cache.flushAll();
+    await plugin._monitorSessions();
+
+    expect(allow2.log).toHaveBeenCalledWith({
+      childId: 'child-1',
+      activities: [expect.objectContaining({ activity: 'gaming', time: 1 })]
+    });
+    expect(alert).not.toHaveBeenCalled();
+    expect((await store.load()).sessions['kid-1']).toMatchObject({ playing: true });
+  });
+
+  test('alerts when PSN refuses permission', async () => {
+    const alert = jest.fn();
+    plugin.on('enforcementAlert', alert);
+    server.failNext({ method: 'PUT', path: '/playTimeSettings' }, {
+      status: 403,
+      body: { error: { code: 'not_guardian' } }
+    });
+
+    const result = await plugin.newState({ children: { 'child-1': { blocked: true } } });
+
+    expect(result.results[0]).toMatchObject({ success: false, alert: true });
+    expect(alert).toHaveBeenCalledWith(expect.objectContaining({
+      childId: 'child-1',
+      type: 'PermissionError',
+      status: 403,
+      psnCode: 'not_guardian'
+    }));
+  });
+});
@@ -0,0 +1,40 @@
+import { redact, registerSecret, unregisterSecret, REDACTED } from '../src/redact.js';
+
+describe('redact', () => {
+  test('masks registered secrets wherever they appear', () => {
+    registerSecret('registered-npsso-value');
+
+    expect(redact('token registered-npsso-value rejected')).toBe(`token ${REDACTED} rejected`);
+    expect(redact({ nested: { value: 'registered-npsso-value' } })).toEqual({ nested: { value: REDACTED } });
+  });
+
+  test('stops masking unregistered secrets', () => {
+    registerSecret('replaced-access-token');
+    unregisterSecret('replaced-access-token');
+
+    expect(redact('token replaced-access-token')).toBe('token replaced-access-token');
+  });
+
+  test('masks token shapes that were never registered', () => {
+    expect(redact('Authorization: Bearer abc.def-ghi')).toBe(`Authorization: Bearer ${REDACTED}`);
+    expect(redact('npsso=abc123&grant_type=npsso_code')).toBe(`npsso=${REDACTED}&grant_type=npsso_code`);
+    expect(redact({ refreshToken: 'r-123', status: 401 })).toEqual({ refreshToken: REDACTED, status: 401 });
+  });
+
+  test('turns errors into masked stack traces', () => {
+    const error = new Error('request failed with refresh_token=r-456');
+
+    const masked = redact(error);
+
+    expect(masked).toContain(`refresh_token=${REDACTED}`);
+    expect(masked).not.toContain('r-456');
+  });
+
+  test('ignores short values and passes primitives through', () => {
+    registerSecret('abc');
+
+    expect(redact('abc')).toBe('abc');
+    expect(redact(42)).toBe(42);
+    expect(redact(null)).toBe(null);
+  });
+});
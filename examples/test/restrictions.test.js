@@ -0,0 +1,79 @@
+import { RestrictionOwnership } from '../src/restrictions.js';
+
+describe('RestrictionOwnership', () => {
+  let ownership;
+
+  beforeEach(() => {
+    ownership = new RestrictionOwnership();
+  });
+
+  test('plans only the changes PSN needs', () => {
+    ownership.claim('kid-1', 'CUSA00002', 'allow2');
+
+    const plan = ownership.plan('kid-1', [
+      { gameId: 'CUSA00001', action: 'block' },
+      { gameId: 'CUSA00002', action: 'unblock' },
+      { gameId: 'CUSA00003', action: 'block' },
+      { gameId: 'CUSA00004', action: 'unblock' },
+      { gameId: 'CUSA00005', action: 'hide' }
+    ], new Set(['CUSA00002', 'CUSA00003']));
+
+    expect(plan).toEqual({
+      block: ['CUSA00001'],
+      unblock: ['CUSA00002'],
+      unchanged: ['CUSA00003', 'CUSA00004'],
+      parentOwned: [],
+      held: []
+    });
+  });
+
+  test('never plans to unblock parent blocks or titles another source holds', () => {
+    ownership.claim('kid-1', 'CUSA00002', 'gameBudget');
+    ownership.claim('kid-1', 'CUSA00002', 'allow2');
+
+    const plan = ownership.plan('kid-1', [
+      { gameId: 'CUSA00001', action: 'unblock' },
+      { gameId: 'CUSA00002', action: 'unblock' }
+    ], new Set(['CUSA00001', 'CUSA00002']));
+
+    expect(plan).toMatchObject({ unblock: [], parentOwned: ['CUSA00001'], held: ['CUSA00002'] });
+  });
+
+  test('unblocks titles it holds that left the desired set', () => {
+    ownership.claim('kid-1', 'CUSA00001', 'allow2');
+    ownership.claim('kid-1', 'CUSA00002', 'gameBudget');
+
+    const plan = ownership.plan('kid-1', [], new Set(['CUSA00001', 'CUSA00002', 'CUSA00003']));
+
+    expect(plan).toEqual({ block: [], unblock: ['CUSA00001'], unchanged: [], parentOwned: [], held: [] });
+  });
+
+  test('uses the last restriction for a title', () => {
+    const plan = ownership.plan('kid-1', [
+      { gameId: 'CUSA00001', action: 'block' },
+      { gameId: 'CUSA00001', action: 'unblock' }
+    ], new Set());
+
+    expect(plan).toMatchObject({ block: [], unchanged: ['CUSA00001'] });
+  });
+
+  test('releases a title only when its last owner lets go', () => {
+    ownership.claim('kid-1', 'CUSA00001', 'allow2');
+    ownership.claim('kid-1', 'CUSA00001', 'gameBudget');
+
+    expect(ownership.release('kid-1', 'CUSA00001', 'gameBudget')).toBe(false);
+    expect(ownership.ownersOf('kid-1', 'CUSA00001')).toEqual(['allow2']);
+    expect(ownership.release('kid-1', 'CUSA00001', 'gameBudget')).toBe(false);
+    expect(ownership.release('kid-1', 'CUSA00001', 'allow2')).toBe(true);
+    expect(ownership.ownersOf('kid-1', 'CUSA00001')).toEqual([]);
+  });
+
+  test('round-trips through toJSON/restore', () => {
+    ownership.claim('kid-1', 'CUSA00001', 'allow2');
+
+    const restored = new RestrictionOwnership();
+    restored.restore(JSON.parse(JSON.stringify(ownership.toJSON())));
+
+    expect(restored.ownersOf('kid-1', 'CUSA00001')).toEqual(['allow2']);
+  });
+});
@@ -0,0 +1,106 @@
+import { isRetryable, parseRetryAfter, retryDelay } from '../src/retry-policy.js';
+import { AdaptiveRateLimiter } from '../src/rate-limiter.js';
+
+function httpError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers, data: {} };
+  return error;
+}
+
+function networkError(code) {
+  const error = new Error(code);
+  error.code = code;
+  return error;
+}
+
+describe('isRetryable', () => {
+  test('retries throttled requests for every method', () => {
+    expect(isRetryable('GET', httpError(429))).toBe(true);
+    expect(isRetryable('POST', httpError(429))).toBe(true);
+  });
+
+  test('retries 5xx only for idempotent requests', () => {
+    expect(isRetryable('PUT', httpError(503))).toBe(true);
+    expect(isRetryable('DELETE', httpError(502))).toBe(true);
+    expect(isRetryable('POST', httpError(503))).toBe(false);
+    expect(isRetryable('POST', httpError(503), { idempotent: true })).toBe(true);
+  });
+
+  test('retries connection failures by whether the request was sent', () => {
+    expect(isRetryable('POST', networkError('ECONNREFUSED'))).toBe(true);
+    expect(isRetryable('POST', networkError('ECONNRESET'))).toBe(false);
+    expect(isRetryable('GET', networkError('ECONNRESET'))).toBe(true);
+  });
+
+  test('never retries client errors', () => {
+    expect(isRetryable('GET', httpError(400))).toBe(false);
+    expect(isRetryable('GET', httpError(404))).toBe(false);
+  });
+});
+
+describe('retry delays', () => {
+  test('parses Retry-After seconds and dates', () => {
+    const now = Date.parse('2024-06-10T15:00:00Z');
+
+    expect(parseRetryAfter(httpError(429, { 'Retry-After': '3' }), now)).toBe(3000);
+    expect(parseRetryAfter(httpError(429, { 'retry-after': 'Mon, 10 Jun 2024 15:00:05 GMT' }), now)).toBe(5000);
+    expect(parseRetryAfter(httpError(429), now)).toBeNull();
+  });
+
+  test('honours Retry-After over backoff', () => {
+    expect(retryDelay(0, httpError(429, { 'Retry-After': '2' }))).toBe(2000);
+  });
+
+  test('backs off exponentially with jitter up to the cap', () => {
+    const options = { baseDelayMs: 100, maxDelayMs: 1000 };
+
+    expect(retryDelay(0, httpError(503), options, () => 1)).toBe(100);
+    expect(retryDelay(2, httpError(503), options, () => 1)).toBe(400);
+    expect(retryDelay(6, httpError(503), options, () => 1)).toBe(1000);
+    expect(retryDelay(2, httpError(503), options, () => 0.5)).toBe(200);
+  });
+});
+
+describe('AdaptiveRateLimiter', () => {
+  let now;
+  let slept;
+  let limiter;
+
+  beforeEach(() => {
+    now = 0;
+    slept = [];
+    limiter = new AdaptiveRateLimiter({
+      intervalMs: 100,
+      now: () => now,
+      sleep: async (ms) => { slept.push(ms); now += ms; }
+    });
+  });
+
+  test('spaces requests by the interval', async () => {
+    await limiter.acquire();
+    await limiter.acquire();
+
+    expect(slept).toEqual([100]);
+  });
+
+  test('slows down and pauses when throttled', async () => {
+    await limiter.acquire();
+    limiter.onThrottle(1000);
+
+    expect(limiter.intervalMs).toBe(200);
+
+    await limiter.acquire();
+    expect(now).toBeGreaterThanOrEqual(1000);
+  });
+
+  test('recovers towards the configured rate on success', () => {
+    limiter.onThrottle();
+    limiter.onThrottle();
+    expect(limiter.intervalMs).toBe(400);
+
+    for (let i = 0; i < 20; i++) {
+      limiter.onSuccess();
+    }
+    expect(limiter.intervalMs).toBe(100);
+  });
+});
@@ -0,0 +1,97 @@
+import { ScheduleEngine, parseSchedule, isValidTimezone, localTime } from '../src/schedule.js';
+
+const SCHOOL_NIGHTS = ['sun', 'mon', 'tue', 'wed', 'thu'];
+
+const RULES = [
+  { name: 'School-night bedtime', type: 'block', days: SCHOOL_NIGHTS, from: '20:00', to: '07:00' },
+  { name: 'Homework', type: 'block', days: ['mon', 'tue', 'wed', 'thu', 'fri'], from: '16:00', to: '17:30' },
+  { name: 'Weekend', type: 'allow', days: ['sat', 'sun'], from: '09:00', to: '21:00' }
+];
+
+// 2024-06-10 is a Monday
+const at = (day, time) => Date.parse(`2024-06-${day}T${time}:00Z`);
+
+describe('ScheduleEngine', () => {
+  let now;
+  let engine;
+
+  beforeEach(() => {
+    engine = new ScheduleEngine({ now: () => now });
+  });
+
+  test('allows play when no rule applies', () => {
+    now = at(10, '12:00');
+    expect(engine.evaluate(RULES, 'UTC')).toEqual({ allowed: true, rule: null, type: null });
+    expect(engine.evaluate([], 'UTC')).toEqual({ allowed: true, rule: null, type: null });
+  });
+
+  test('blocks inside block windows, including past midnight', () => {
+    now = at(10, '16:30');
+    expect(engine.evaluate(RULES, 'UTC')).toEqual({ allowed: false, rule: 'Homework', type: 'block' });
+
+    now = at(10, '21:00');
+    expect(engine.evaluate(RULES, 'UTC')).toMatchObject({ allowed: false, rule: 'School-night bedtime' });
+
+    // Tuesday morning, after Monday's bedtime started
+    now = at(11, '06:59');
+    expect(engine.evaluate(RULES, 'UTC')).toMatchObject({ allowed: false, rule: 'School-night bedtime' });
+
+    // Friday evening is not a school night
+    now = at(14, '21:00');
+    expect(engine.evaluate(RULES, 'UTC').allowed).toBe(true);
+  });
+
+  test('only allows play inside allow windows on their days', () => {
+    now = at(15, '08:00');
+    expect(engine.evaluate(RULES, 'UTC')).toEqual({ allowed: false, rule: 'Weekend', type: 'allow' });
+
+    now = at(15, '10:00');
+    expect(engine.evaluate(RULES, 'UTC')).toEqual({ allowed: true, rule: 'Weekend', type: 'allow' });
+
+    // Sunday is a school night: bedtime wins over the weekend window
+    now = at(16, '20:30');
+    expect(engine.evaluate(RULES, 'UTC')).toMatchObject({ allowed: false, rule: 'School-night bedtime' });
+  });
+
+  test('evaluates rules in the child timezone', () => {
+    // 19:30 UTC on Monday is 21:30 in Berlin (summer time)
+    now = at(10, '19:30');
+    expect(engine.evaluate(RULES, 'UTC').allowed).toBe(true);
+    expect(engine.evaluate(RULES, 'Europe/Berlin')).toMatchObject({ allowed: false, rule: 'School-night bedtime' });
+
+    // Saturday 01:00 UTC is still Friday evening in New York
+    expect(localTime(at(15, '01:00'), 'America/New_York')).toEqual({ day: 5, minutes: 21 * 60 });
+  });
+
+  test('applies device rules only on matching consoles', () => {
+    now = at(10, '21:00');
+    const rules = [{ name: 'Bedroom curfew', type: 'block', devices: ['Bedroom PS4', 'ps5-77'], from: '20:00', to: '07:00' }];
+    const bedroom = { deviceId: 'ps4-12', name: 'Bedroom PS4', platform: 'PS4' };
+
+    expect(engine.evaluate(rules, 'UTC', bedroom)).toMatchObject({ allowed: false, rule: 'Bedroom curfew' });
+    expect(engine.evaluate(rules, 'UTC', { deviceId: 'PS5-77', name: null, platform: 'PS5' }).allowed).toBe(false);
+    expect(engine.evaluate(rules, 'UTC', { deviceId: 'ps5-01', name: 'Living room', platform: 'PS5' }).allowed).toBe(true);
+    expect(engine.evaluate(rules, 'UTC').allowed).toBe(true);
+  });
+});
+
+describe('parseSchedule', () => {
+  test('normalises days and times', () => {
+    expect(parseSchedule([{ type: 'block', days: ['Monday', 'fri'], from: '07:30', to: '24:00' }])).toEqual([
+      { name: 'block 07:30-24:00', type: 'block', days: [1, 5], from: 450, to: 1440, devices: null }
+    ]);
+  });
+
+  test('rejects invalid rules', () => {
+    expect(() => parseSchedule({})).toThrow('Schedule must be a list of rules');
+    expect(() => parseSchedule([{ type: 'deny', from: '20:00', to: '07:00' }])).toThrow('type must be one of: block, allow');
+    expect(() => parseSchedule([{ name: 'Bed', type: 'block', from: '8pm', to: '07:00' }])).toThrow('Schedule rule "Bed" needs distinct from/to times');
+    expect(() => parseSchedule([{ name: 'Bed', type: 'block', days: ['someday'], from: '20:00', to: '07:00' }])).toThrow('days must be weekday names');
+    expect(() => parseSchedule([{ name: 'Bed', type: 'block', devices: [], from: '20:00', to: '07:00' }])).toThrow('devices must be a non-empty list');
+  });
+
+  test('checks timezone names', () => {
+    expect(isValidTimezone('Australia/Sydney')).toBe(true);
+    expect(isValidTimezone('Mars/Olympus')).toBe(false);
+  });
+});
@@ -0,0 +1,81 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { JsonFileSessionStore, MemorySessionStore } from '../src/session-store.js';
+
+describe('JsonFileSessionStore', () => {
+  let dir;
+  let filePath;
+  let store;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'psn-sessions-'));
+    filePath = path.join(dir, 'nested', 'sessions.json');
+    store = new JsonFileSessionStore(filePath);
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('round-trips saved data', async () => {
+    await store.save({ version: 1, sessions: { 'kid-1': { suspended: true } } });
+
+    expect(await new JsonFileSessionStore(filePath).load()).toEqual({
+      version: 1,
+      sessions: { 'kid-1': { suspended: true } }
+    });
+  });
+
+  test('loads null when nothing was saved yet', async () => {
+    await expect(store.load()).resolves.toBeNull();
+  });
+
+  test('reports a corrupt session file', async () => {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, '{"sessions": ');
+
+    await expect(store.load()).rejects.toThrow(`Failed to load sessions from ${filePath}`);
+  });
+
+  test('writes through a temporary file and keeps the latest of overlapping saves', async () => {
+    const data = { sessions: { 'kid-1': { suspended: false } } };
+
+    const saves = [1, 2, 3].map(version => {
+      const save = store.save({ ...data, version });
+      data.sessions['kid-1'].suspended = true;
+      return save;
+    });
+    await Promise.all(saves);
+
+    expect(await store.load()).toEqual({ version: 3, sessions: { 'kid-1': { suspended: true } } });
+    expect(await fs.readdir(path.dirname(filePath))).toEqual(['sessions.json']);
+  });
+
+  test('keeps saving after a failed save', async () => {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.mkdir(filePath);
+
+    await expect(store.save({ version: 1 })).rejects.toThrow(`Failed to save sessions to ${filePath}`);
+
+    await fs.rmdir(filePath);
+    await store.save({ version: 2 });
+    expect(await store.load()).toEqual({ version: 2 });
+  });
+
+  test('requires a file path', () => {
+    expect(() => new JsonFileSessionStore()).toThrow('Session store file path is required');
+  });
+});
+
+describe('MemorySessionStore', () => {
+  test('keeps a copy of saved data', async () => {
+    const store = new MemorySessionStore();
+    const data = { sessions: {} };
+
+    await store.save(data);
+    data.sessions['kid-1'] = {};
+
+    expect(await store.load()).toEqual({ sessions: {} });
+  });
+});
@@ -0,0 +1,329 @@
+/**
+ * Mock PlayStation Network Server
+ *
+ * Local HTTP stand-in for ca.account.sony.com (OAuth) and
+ * m.np.playstation.com (family management and presence) used by the
+ * integration tests.
+ * Failures can be injected per endpoint: HTTP errors such as 401, 429 and
+ * 5xx, custom headers, and malformed response bodies.
+ */
+
+import http from 'http';
+
+const API_PREFIX = '/api/familyManagement/v1';
+const PRESENCE_PATTERN = /^\/api\/userProfile\/v1\/internal\/users\/([^/]+)\/basicPresences$/;
+
+export class MockPSNServer {
+  constructor(options = {}) {
+    this.npsso = options.npsso || 'valid-npsso';
+    this.expiresIn = options.expiresIn || 3600;
+    this.refreshExpiresIn = options.refreshExpiresIn || 5183999;
+
+    this.children = {};
+    this.failures = [];
+    this.requests = [];
+
+    this.accessTokens = new Set();
+    this.refreshTokens = new Set();
+    this.tokenCounter = 0;
+
+    this.server = http.createServer((req, res) => this._handle(req, res));
+    this.url = null;
+  }
+
+  /**
+   * Start listening on a random local port
+   */
+  async start() {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    const { port } = this.server.address();
+    this.url = `http://127.0.0.1:${port}`;
+    return this.url;
+  }
+
+  async stop() {
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  /**
+   * Add a child account to the family
+   */
+  addChild({ accountId, displayName, age = 10, playTime = {}, playTimeSettings = {}, restrictedContent = [], presence = {} }) {
+    this.children[accountId] = {
+      accountId,
+      displayName: displayName || accountId,
+      age,
+      playTime: {
+        todayPlayTime: 0,
+        weekPlayTime: 0,
+        status: 'offline',
+        currentTitle: null,
+        lastPlayedAt: null,
+        ...playTime
+      },
+      playTimeSettings: { dailyPlayTimeLimit: 120, enabled: true, ...playTimeSettings },
+      restrictedContent: [...restrictedContent],
+      presence: { platform: null, deviceId: null, ...presence },
+      messages: []
+    };
+    return this.children[accountId];
+  }
+
+  /**
+   * Update the console a child is on, as reported by `/basicPresences`
+   */
+  setPresence(accountId, presence) {
+    Object.assign(this.children[accountId].presence, presence);
+  }
+
+  /**
+   * Update a child's play time as reported by `/playTime`
+   */
+  setPlayTime(accountId, playTime) {
+    Object.assign(this.children[accountId].playTime, playTime);
+  }
+
+  /**
+   * Inject a failure for matching requests
+   * `match`: { method, path } where path is a string (substring) or RegExp
+   * `failure`: { status, body, headers, malformed, times }
+   */
+  failNext(match, failure) {
+    this.failures.push({ times: 1, ...failure, match });
+  }
+
+  /**
+   * Invalidate every issued access token (next API call gets a 401)
+   */
+  revokeAccessTokens() {
+    this.accessTokens.clear();
+  }
+
+  /**
+   * Invalidate the NPSSO and every refresh token (re-authentication fails)
+   */
+  expireCredentials() {
+    this.npsso = null;
+    this.refreshTokens.clear();
+    this.accessTokens.clear();
+  }
+
+  /**
+   * Recorded requests, optionally filtered by method and path substring
+   */
+  requestsTo(method, path) {
+    return this.requests.filter(r => r.method === method && r.path.includes(path));
+  }
+
+  async _handle(req, res) {
+    const body = await readBody(req);
+    const url = new URL(req.url, 'http://localhost');
+    const request = { method: req.method, path: url.pathname, headers: req.headers, body };
+    this.requests.push(request);
+
+    const failure = this._takeFailure(request);
+    if (failure) {
+      return this._fail(res, failure);
+    }
+
+    if (request.path === '/api/authz/v3/oauth/token' && request.method === 'POST') {
+      return this._token(res, body);
+    }
+
+    if (request.path.startsWith(API_PREFIX) || PRESENCE_PATTERN.test(request.path)) {
+      const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+      if (!this.accessTokens.has(token)) {
+        return send(res, 401, { error: 'invalid_token', error_description: 'Access token is invalid' });
+      }
+      return request.path.startsWith(API_PREFIX) ? this._api(res, request) : this._presence(res, request);
+    }
+
+    send(res, 404, { error: { code: 'not_found', message: `No route for ${request.path}` } });
+  }
+
+  _takeFailure(request) {
+    const index = this.failures.findIndex(({ match }) => {
+      if (match.method && match.method !== request.method) return false;
+      if (match.path instanceof RegExp) return match.path.test(request.path);
+      return !match.path || request.path.includes(match.path);
+    });
+
+    if (index === -1) {
+      return null;
+    }
+
+    const failure = this.failures[index];
+    if (--failure.times <= 0) {
+      this.failures.splice(index, 1);
+    }
+    return failure;
+  }
+
+  _fail(res, failure) {
+    const headers = { 'Content-Type': 'application/json', ...failure.headers };
+
+    if (failure.malformed) {
+      res.writeHead(failure.status || 200, headers);
+      return res.end('{"this is": not json');
+    }
+
+    send(res, failure.status || 500, failure.body || { error: { code: 'server_error' } }, headers);
+  }
+
+  _token(res, body) {
+    const params = parseBody(body);
+
+    if (params.grant_type === 'npsso_code') {
+      if (!this.npsso || params.npsso !== this.npsso) {
+        return send(res, 400, { error: 'invalid_grant', error_description: 'Invalid NPSSO' });
+      }
+    } else if (params.grant_type === 'refresh_token') {
+      if (!this.refreshTokens.has(params.refresh_token)) {
+        return send(res, 400, { error: 'invalid_grant', error_description: 'Invalid refresh token' });
+      }
+      this.refreshTokens.delete(params.refresh_token);
+    } else {
+      return send(res, 400, { error: 'unsupported_grant_type' });
+    }
+
+    const id = ++this.tokenCounter;
+    const accessToken = `access-${id}`;
+    const refreshToken = `refresh-${id}`;
+    this.accessTokens.add(accessToken);
+    this.refreshTokens.add(refreshToken);
+
+    send(res, 200, {
+      access_token: accessToken,
+      refresh_token: refreshToken,
+      expires_in: this.expiresIn,
+      refresh_token_expires_in: this.refreshExpiresIn,
+      token_type: 'bearer'
+    });
+  }
+
+  _presence(res, { method, path }) {
+    const child = this.children[decodeURIComponent(path.match(PRESENCE_PATTERN)[1])];
+    if (method !== 'GET' || !child) {
+      return send(res, 404, { error: { code: 'account_not_found' } });
+    }
+
+    // Signed in on a console, by default only while playing
+    const { platform, deviceId } = child.presence;
+    const online = child.presence.online ?? child.playTime.status === 'online';
+
+    send(res, 200, {
+      basicPresence: {
+        availability: online ? 'availableToPlay' : 'unavailable',
+        primaryPlatformInfo: {
+          onlineStatus: online ? 'online' : 'offline',
+          platform,
+          deviceId,
+          lastOnlineDate: child.playTime.lastPlayedAt
+        },
+        gameTitleInfoList: child.playTime.currentTitle
+          ? [{ npTitleId: child.playTime.currentTitleId || null, titleName: child.playTime.currentTitle, launchPlatform: platform }]
+          : []
+      }
+    });
+  }
+
+  _api(res, { method, path, body }) {
+    const route = path.slice(API_PREFIX.length);
+
+    if (route === '/families' && method === 'GET') {
+      return send(res, 200, {
+        familyMembers: [
+          { onlineId: 'parent', displayName: 'Parent', role: 'parent' },
+          ...Object.values(this.children).map(child => ({
+            onlineId: child.accountId,
+            displayName: child.displayName,
+            age: child.age,
+            role: 'child',
+            parentalControls: { playTimeSettings: child.playTimeSettings }
+          }))
+        ]
+      });
+    }
+
+    const match = route.match(/^\/users\/([^/]+)\/([^/]+)(?:\/([^/]+))?$/);
+    if (!match) {
+      return send(res, 404, { error: { code: 'not_found' } });
+    }
+
+    const [, accountId, resource, itemId] = match;
+    const child = this.children[decodeURIComponent(accountId)];
+    if (!child) {
+      return send(res, 404, { error: { code: 'account_not_found', message: `Unknown account ${accountId}` } });
+    }
+
+    const data = parseBody(body);
+
+    switch (`${method} ${resource}${itemId ? '/:id' : ''}`) {
+      case 'GET playTime':
+        return send(res, 200, { ...child.playTime });
+
+      case 'PUT playTimeSettings':
+        child.playTimeSettings = { ...data };
+        return send(res, 200, child.playTimeSettings);
+
+      case 'GET parentalControls':
+        return send(res, 200, { playTimeSettings: { ...child.playTimeSettings } });
+
+      case 'PUT parentalControls':
+        if (data.playTimeSettings) {
+          child.playTimeSettings = { ...data.playTimeSettings };
+        }
+        return send(res, 200, { playTimeSettings: child.playTimeSettings });
+
+      case 'GET restrictedContent':
+        return send(res, 200, { restrictedContent: child.restrictedContent });
+
+      case 'POST restrictedContent':
+        if (child.restrictedContent.some(c => c.contentId === data.contentId)) {
+          return send(res, 409, { error: { code: 'already_restricted' } });
+        }
+        child.restrictedContent.push({ contentId: data.contentId, type: data.type });
+        return send(res, 201, { contentId: data.contentId });
+
+      case 'DELETE restrictedContent/:id':
+        if (!child.restrictedContent.some(c => c.contentId === itemId)) {
+          return send(res, 404, { error: { code: 'content_not_found' } });
+        }
+        child.restrictedContent = child.restrictedContent.filter(c => c.contentId !== itemId);
+        return send(res, 204);
+
+      case 'POST messages':
+        child.messages.push(data.message);
+        return send(res, 201, {});
+
+      default:
+        return send(res, 404, { error: { code: 'not_found' } });
+    }
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+function parseBody(body) {
+  if (!body) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    return Object.fromEntries(new URLSearchParams(body));
+  }
+}
+
+function send(res, status, body, headers = { 'Content-Type': 'application/json' }) {
+  res.writeHead(status, headers);
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
@@ -0,0 +1,98 @@
+import { TimeBank } from '../src/time-bank.js';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('TimeBank', () => {
+  let now;
+  let bank;
+
+  beforeEach(() => {
+    now = new Date(2024, 5, 10, 15, 0, 0).getTime();
+    bank = new TimeBank({ now: () => now });
+  });
+
+  test('tops up the remaining quota with bonus time', () => {
+    bank.grant('kid', 20, { reason: 'Chores' });
+
+    expect(bank.adjust('kid', { allowed: true, remaining: 30 })).toEqual({ allowed: true, remaining: 50, bonusMinutes: 20 });
+    expect(bank.adjust('kid', { allowed: false, remaining: 0 })).toEqual({ allowed: true, remaining: 20, bonusMinutes: 20 });
+    expect(bank.adjust('sibling', { allowed: false, remaining: 0 })).toEqual({ allowed: false, remaining: 0, bonusMinutes: 0 });
+  });
+
+  test('does not override a denial that is not about time', () => {
+    bank.grant('kid', 20);
+    expect(bank.adjust('kid', { allowed: false, remaining: 45 })).toMatchObject({ allowed: false });
+  });
+
+  test('only draws on the bank once the quota is used up, earliest expiry first', () => {
+    const late = bank.grant('kid', 30, { reason: 'Good grades' });
+    const soon = bank.grant('kid', 10, { reason: 'Chores', expiresAt: now + HOUR });
+
+    bank.adjust('kid', { allowed: true, remaining: 5 });
+    expect(bank.consume('kid', 5)).toBe(0);
+
+    bank.adjust('kid', { allowed: false, remaining: 0 });
+    expect(bank.consume('kid', 15)).toBe(15);
+    expect(bank.consume('kid', 40)).toBe(25);
+
+    const grants = Object.fromEntries(bank.list('kid').map(g => [g.id, g]));
+    expect(grants[soon.id]).toMatchObject({ remaining: 0, status: 'used' });
+    expect(grants[late.id]).toMatchObject({ remaining: 0, status: 'used' });
+  });
+
+  test('revokes and expires grants with an audit trail', () => {
+    const revoked = bank.grant('kid', 15, { reason: 'Chores' });
+    bank.grant('kid', 10, { reason: 'Birthday', expiresAt: now + HOUR });
+    bank.revoke(revoked.id);
+    expect(bank.available('kid')).toBe(10);
+
+    now += 2 * HOUR;
+    expect(bank.available('kid')).toBe(0);
+
+    expect(bank.audit('kid').map(e => [e.action, e.minutes, e.reason])).toEqual([
+      ['grant', 15, 'Chores'],
+      ['grant', 10, 'Birthday'],
+      ['revoke', 15, 'Chores'],
+      ['expire', 10, 'Birthday']
+    ]);
+    expect(() => bank.revoke(revoked.id)).toThrow('already revoked');
+    expect(() => bank.revoke('nope')).toThrow('Unknown bonus grant: nope');
+  });
+
+  test('validates grants', () => {
+    expect(() => bank.grant('kid', 0)).toThrow('positive whole number');
+    expect(() => bank.grant('kid', 10, { expiresAt: now - 1 })).toThrow('must be in the future');
+  });
+
+  test('banks unused quota up to the cap the next day', () => {
+    bank.rolloverCapMinutes = 45;
+    bank.adjust('kid', { allowed: true, remaining: 30 });
+
+    now += 24 * HOUR;
+    expect(bank.adjust('kid', { allowed: true, remaining: 60 })).toMatchObject({ remaining: 90, bonusMinutes: 30 });
+
+    now += 24 * HOUR;
+    bank.adjust('kid', { allowed: true, remaining: 60 });
+    expect(bank.list('kid').filter(g => g.type === 'rollover').map(g => g.minutes)).toEqual([15, 30]);
+    expect(bank.available('kid')).toBe(45);
+  });
+
+  test('does not bank without a rollover cap', () => {
+    bank.adjust('kid', { allowed: true, remaining: 30 });
+    now += 24 * HOUR;
+
+    expect(bank.adjust('kid', { allowed: true, remaining: 60 })).toMatchObject({ remaining: 60, bonusMinutes: 0 });
+  });
+
+  test('round-trips through toJSON/restore', () => {
+    bank.grant('kid', 20, { reason: 'Chores' });
+    bank.adjust('kid', { allowed: false, remaining: 0 });
+
+    const restored = new TimeBank({ now: () => now });
+    restored.restore(JSON.parse(JSON.stringify(bank.toJSON())));
+
+    expect(restored.available('kid')).toBe(20);
+    expect(restored.consume('kid', 5)).toBe(5);
+    expect(restored.audit('kid')).toHaveLength(2);
+  });
+});
@@ -0,0 +1,48 @@
+import { TitleClassifier } from '../src/title-classifier.js';
+
+describe('TitleClassifier', () => {
+  test('counts unknown titles as gaming', () => {
+    const classifier = new TitleClassifier();
+
+    expect(classifier.classify({ titleId: 'CUSA07669', name: 'Fortnite', genre: 'Shooter' })).toBe('gaming');
+    expect(classifier.classify()).toBe('gaming');
+  });
+
+  test('uses genre and category defaults', () => {
+    const classifier = new TitleClassifier();
+
+    expect(classifier.classify({ name: 'Netflix', category: 'VIDEO' })).toBe('streaming');
+    expect(classifier.classify({ name: 'Brain Academy', genre: 'Educational' })).toBe('education');
+  });
+
+  test('prefers the configured title map, by title ID or name', () => {
+    const classifier = new TitleClassifier({
+      titles: { CUSA00001: 'education', 'Spotify ': 'music' }
+    });
+
+    expect(classifier.classify({ titleId: 'cusa00001', genre: 'Shooter' })).toBe('education');
+    expect(classifier.classify({ name: 'spotify', category: 'VIDEO' })).toBe('music');
+  });
+
+  test('overrides genre defaults and falls back to the configured default', () => {
+    const classifier = new TitleClassifier({
+      genres: { educational: 'gaming', puzzle: 'education' },
+      defaultActivity: 'games'
+    });
+
+    expect(classifier.classify({ genre: 'educational' })).toBe('gaming');
+    expect(classifier.classify({ genre: 'Puzzle' })).toBe('education');
+    expect(classifier.classify({ genre: 'Racing' })).toBe('games');
+  });
+
+  test('maps age ratings to the highest matching minimum age', () => {
+    const classifier = new TitleClassifier({
+      ageRatings: { 12: 'teen-gaming', 16: 'mature-gaming' }
+    });
+
+    expect(classifier.classify({ ageRating: 7 })).toBe('gaming');
+    expect(classifier.classify({ ageRating: '12' })).toBe('teen-gaming');
+    expect(classifier.classify({ ageRating: 18 })).toBe('mature-gaming');
+    expect(classifier.classify({ ageRating: null })).toBe('gaming');
+  });
+});
@@ -0,0 +1,175 @@
+import { UsageAccountant } from '../src/usage-accountant.js';
+
+const MINUTE = 60000;
+
+function createClock(start) {
+  let now = start.getTime();
+  return {
+    now: () => now,
+    advance: (ms) => { now += ms; },
+    set: (date) => { now = date.getTime(); }
+  };
+}
+
+describe('UsageAccountant', () => {
+  let clock;
+  let accountant;
+
+  beforeEach(() => {
+    clock = createClock(new Date(2024, 5, 10, 15, 0, 0));
+    accountant = new UsageAccountant({ now: clock.now, maxGapMinutes: 15 });
+  });
+
+  test('first observation only establishes a baseline', () => {
+    expect(accountant.observe('kid', 42)).toBe(0);
+  });
+
+  test('reports the todayMinutes delta between observations', () => {
+    accountant.observe('kid', 10);
+
+    clock.advance(MINUTE);
+    expect(accountant.observe('kid', 11)).toBe(1);
+
+    clock.advance(5 * MINUTE);
+    expect(accountant.observe('kid', 16)).toBe(5);
+  });
+
+  test('reports nothing when play time has not changed', () => {
+    accountant.observe('kid', 10);
+
+    clock.advance(3 * MINUTE);
+    expect(accountant.observe('kid', 10)).toBe(0);
+  });
+
+  test('covers missed polls instead of a fixed increment', () => {
+    accountant.observe('kid', 10);
+
+    clock.advance(4 * MINUTE);
+    expect(accountant.observe('kid', 14)).toBe(4);
+  });
+
+  test('never reports more than the wall-clock time elapsed', () => {
+    accountant.observe('kid', 10);
+
+    clock.advance(2 * MINUTE);
+    expect(accountant.observe('kid', 30)).toBe(2);
+  });
+
+  test('carries minutes a stale read held back into the next observation', () => {
+    accountant.observe('kid', 10);
+
+    // A cached read: no new minutes although a minute passed
+    clock.advance(MINUTE);
+    expect(accountant.observe('kid', 10)).toBe(0);
+
+    // Two real minutes since the last fresh read
+    clock.advance(MINUTE);
+    expect(accountant.observe('kid', 12)).toBe(2);
+  });
+
+  test('carries minutes beyond the wall-clock bound forward', () => {
+    accountant.observe('kid', 10);
+
+    clock.advance(2 * MINUTE);
+    expect(accountant.observe('kid', 14)).toBe(2);
+
+    clock.advance(2 * MINUTE);
+    expect(accountant.observe('kid', 14)).toBe(2);
+
+    clock.advance(MINUTE);
+    expect(accountant.observe('kid', 14)).toBe(0);
+  });
+
+  test('caps the reported gap after downtime', () => {
+    accountant.observe('kid', 10);
+
+    clock.advance(120 * MINUTE);
+    expect(accountant.observe('kid', 130)).toBe(15);
+
+    // The skipped backlog is not carried into later observations
+    clock.advance(MINUTE);
+    expect(accountant.observe('kid', 131)).toBe(1);
+  });
+
+  test('totals reported minutes per activity for the day', () => {
+    accountant.observe('kid', 10, 'gaming');
+
+    clock.advance(5 * MINUTE);
+    accountant.observe('kid', 15, 'gaming');
+    clock.advance(3 * MINUTE);
+    accountant.observe('kid', 18, 'streaming');
+
+    expect(accountant.activityMinutes('kid', 'gaming')).toBe(5);
+    expect(accountant.activityMinutes('kid', 'streaming')).toBe(3);
+    expect(accountant.activityMinutes('kid', 'education')).toBe(0);
+
+    clock.set(new Date(2024, 5, 11, 0, 2, 0));
+    expect(accountant.activityMinutes('kid', 'gaming')).toBe(0);
+    accountant.observe('kid', 2, 'streaming');
+    expect(accountant.activityMinutes('kid', 'streaming')).toBe(2);
+  });
+
+  test('handles the midnight rollover of todayPlayTime', () => {
+    clock.set(new Date(2024, 5, 10, 23, 58, 0));
+    accountant.observe('kid', 200);
+
+    clock.set(new Date(2024, 5, 11, 0, 2, 0));
+    expect(accountant.observe('kid', 2)).toBe(2);
+
+    clock.advance(MINUTE);
+    expect(accountant.observe('kid', 3)).toBe(1);
+  });
+
+  test('only counts time since midnight after a rollover', () => {
+    clock.set(new Date(2024, 5, 10, 23, 0, 0));
+    accountant.observe('kid', 100);
+
+    clock.set(new Date(2024, 5, 11, 0, 3, 0));
+    expect(accountant.observe('kid', 10)).toBe(3);
+  });
+
+  test('treats a counter reset on the same day as a new day', () => {
+    accountant.observe('kid', 50);
+
+    clock.advance(2 * MINUTE);
+    expect(accountant.observe('kid', 1)).toBe(1);
+  });
+
+  test('ignores observations when the clock moves backwards', () => {
+    accountant.observe('kid', 10);
+
+    clock.advance(-5 * MINUTE);
+    expect(accountant.observe('kid', 12)).toBe(0);
+  });
+
+  test('tracks accounts independently', () => {
+    accountant.observe('kid-a', 10);
+    accountant.observe('kid-b', 20);
+
+    clock.advance(3 * MINUTE);
+    expect(accountant.observe('kid-a', 13)).toBe(3);
+    expect(accountant.observe('kid-b', 20)).toBe(0);
+  });
+
+  test('does not double-report after a restart', () => {
+    accountant.observe('kid', 10);
+    clock.advance(MINUTE);
+    accountant.observe('kid', 11);
+
+    const saved = JSON.parse(JSON.stringify(accountant.toJSON()));
+
+    const restarted = new UsageAccountant({ now: clock.now, maxGapMinutes: 15 });
+    restarted.restore(saved);
+
+    clock.advance(MINUTE);
+    expect(restarted.observe('kid', 12)).toBe(1);
+  });
+
+  test('reset forgets the baseline', () => {
+    accountant.observe('kid', 10);
+    accountant.reset('kid');
+
+    clock.advance(MINUTE);
+    expect(accountant.observe('kid', 11)).toBe(0);
+  });
+});
@@ -0,0 +1,46 @@
+import { WarningTracker } from '../src/warning-tracker.js';
+
+describe('WarningTracker', () => {
+  let now;
+  let tracker;
+
+  beforeEach(() => {
+    now = new Date(2024, 5, 10, 15, 0, 0).getTime();
+    tracker = new WarningTracker({ now: () => now, thresholds: [15, 5, 1] });
+  });
+
+  test('fires each threshold once as remaining time drops', () => {
+    expect(tracker.check('kid', 30)).toBeNull();
+    expect(tracker.check('kid', 15)).toBe(15);
+    expect(tracker.check('kid', 12)).toBeNull();
+    expect(tracker.check('kid', 5)).toBe(5);
+    expect(tracker.check('kid', 1)).toBe(1);
+    expect(tracker.check('kid', 1)).toBeNull();
+  });
+
+  test('only fires the lowest threshold when several are crossed at once', () => {
+    expect(tracker.check('kid', 4)).toBe(5);
+    expect(tracker.check('kid', 3)).toBeNull();
+  });
+
+  test('does not warn once time has run out', () => {
+    expect(tracker.check('kid', 0)).toBeNull();
+    expect(tracker.check('kid', undefined)).toBeNull();
+  });
+
+  test('fires again on the next day', () => {
+    expect(tracker.check('kid', 5)).toBe(5);
+
+    now = new Date(2024, 5, 11, 15, 0, 0).getTime();
+    expect(tracker.check('kid', 5)).toBe(5);
+  });
+
+  test('keeps de-duplication state across a restart', () => {
+    expect(tracker.check('kid', 10)).toBe(15);
+
+    const restarted = new WarningTracker({ now: () => now, thresholds: [15, 5, 1] });
+    restarted.restore(JSON.parse(JSON.stringify(tracker.toJSON())));
+
+    expect(restarted.check('kid', 9)).toBeNull();
+  });
+});